@@ -0,0 +1,306 @@
+const crypto = require('crypto');
+const { STATUS } = require('./db');
+const { PRIORITY } = require('./priority');
+
+// 一个任务的候选库：逐条记录（records）加密钥空间区间（keyspaces/ranges），以及分发出去的批次租约（batches）
+// 每个任务使用 data/ 下自己的 SQLite 文件，表结构由 db.js 的 ensureSchema 创建
+
+const BATCH_STATUS = {
+  ACTIVE: 'active',
+  COMPLETED: 'completed',
+  RELEASED: 'released',
+  EXPIRED: 'expired',
+};
+
+/**
+ * 在候选库上准备批次分发需要的语句
+ * @param {Database} db - 已执行过 ensureSchema 的数据库连接
+ * @param {Object} options
+ * @param {number} options.leaseSeconds - 批次租约时长
+ * @param {function(string, Object)} options.onBatch - 批次分发（issued）或结束（completed/released/expired）时在事务内调用
+ * @returns {Object} 候选库操作
+ */
+function openCandidateStore(db, { leaseSeconds, onBatch }) {
+  const countStmt = db.prepare('SELECT COUNT(*) AS count FROM records');
+  const keyspaceTotalStmt = db.prepare('SELECT COALESCE(SUM(total), 0) AS total FROM keyspaces');
+  const getStmt = db.prepare('SELECT id, pwd, status FROM records WHERE id = ?');
+  const randomStmt = db.prepare('SELECT id, pwd, status FROM records ORDER BY RANDOM() LIMIT 1');
+  const getByPwdStmt = db.prepare('SELECT id, pwd, status FROM records WHERE pwd = ?');
+  const countByTierStmt = db.prepare('SELECT priority, status, COUNT(*) AS count FROM records GROUP BY priority, status');
+
+  // 超时回收的区间和尚未分完的密钥空间里取优先级最高的，相同时先复用回收的区间
+  const getUncheckedRangeStmt = db.prepare(`
+    SELECT r.id, r.keyspace_id, r.start_index, r.end_index, k.mask, k.priority
+    FROM ranges r JOIN keyspaces k ON k.id = r.keyspace_id
+    WHERE r.status = ?
+    ORDER BY k.priority DESC, r.id
+    LIMIT 1
+  `);
+  const getOpenKeyspaceStmt = db.prepare(
+    'SELECT id, mask, total, next_index, priority FROM keyspaces WHERE next_index < total ORDER BY priority DESC, id LIMIT 1',
+  );
+  const advanceKeyspaceStmt = db.prepare('UPDATE keyspaces SET next_index = ? WHERE id = ?');
+  const insertRangeStmt = db.prepare('INSERT INTO ranges (keyspace_id, start_index, end_index, status) VALUES (?, ?, ?, ?)');
+  const setRangeStatusStmt = db.prepare("UPDATE ranges SET status = ?, updated_at = strftime('%s', 'now') WHERE id = ?");
+
+  // 下一个可分发区间的优先级，没有时为 null
+  function nextRangePriority() {
+    const recycled = getUncheckedRangeStmt.get(STATUS.UNCHECK);
+    const keyspace = getOpenKeyspaceStmt.get();
+    if (!recycled && !keyspace) return null;
+    return Math.max(recycled ? recycled.priority : -Infinity, keyspace ? keyspace.priority : -Infinity);
+  }
+
+  const allocateRange = db.transaction((batchSize) => {
+    const recycled = getUncheckedRangeStmt.get(STATUS.UNCHECK);
+    const keyspace = getOpenKeyspaceStmt.get();
+    if (recycled && (!keyspace || recycled.priority >= keyspace.priority)) {
+      setRangeStatusStmt.run(STATUS.CHECKING, recycled.id);
+      return { id: recycled.id, mask: recycled.mask, start: recycled.start_index, end: recycled.end_index };
+    }
+
+    if (!keyspace) {
+      return null;
+    }
+
+    const start = keyspace.next_index;
+    const end = Math.min(start + batchSize, keyspace.total);
+    advanceKeyspaceStmt.run(end, keyspace.id);
+    const { lastInsertRowid } = insertRangeStmt.run(keyspace.id, start, end, STATUS.CHECKING);
+    return { id: Number(lastInsertRowid), mask: keyspace.mask, start, end };
+  });
+
+  const getUncheckedRecordsStmt = db.prepare('SELECT id, pwd FROM records WHERE status = ? AND priority >= ? ORDER BY priority DESC, id LIMIT ?');
+  const getTopRecordPriorityStmt = db.prepare('SELECT priority FROM records WHERE status = ? ORDER BY priority DESC, id LIMIT 1');
+  const claimRecordStmt = db.prepare("UPDATE records SET status = ?, batch_id = ?, updated_at = strftime('%s', 'now') WHERE id = ?");
+  const setBatchRecordsStatusStmt = db.prepare("UPDATE records SET status = ?, batch_id = NULL, updated_at = strftime('%s', 'now') WHERE batch_id = ?");
+  const insertBatchStmt = db.prepare(`
+    INSERT INTO batches (id, client_id, range_id, first_id, last_id, count, lease_expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, strftime('%s', 'now') + ?)
+  `);
+  const getBatchStmt = db.prepare('SELECT * FROM batches WHERE id = ?');
+  const extendLeaseStmt = db.prepare("UPDATE batches SET lease_expires_at = strftime('%s', 'now') + ? WHERE id = ?");
+  const finishBatchStmt = db.prepare("UPDATE batches SET status = ?, finished_at = strftime('%s', 'now') WHERE id = ?");
+  const getExpiredBatchesStmt = db.prepare("SELECT * FROM batches WHERE status = ? AND lease_expires_at < strftime('%s', 'now')");
+  const getClientBatchesStmt = db.prepare('SELECT * FROM batches WHERE client_id = ? AND status = ?');
+  const countBatchesStmt = db.prepare('SELECT COUNT(*) AS count FROM batches WHERE status = ?');
+  const sumBatchCountStmt = db.prepare('SELECT COALESCE(SUM(count), 0) AS count FROM batches WHERE status = ?');
+
+  // 创建一个批次租约：一个批次只含逐条记录或一个密钥空间区间，哪边队首的优先级高先分发哪边，相同时先分发逐条记录
+  const issueBatch = db.transaction((clientId, batchSize) => {
+    const batchId = crypto.randomUUID();
+
+    const topRecord = getTopRecordPriorityStmt.get(STATUS.UNCHECK);
+    const rangePriority = nextRangePriority();
+    const recordsFirst = topRecord && (rangePriority === null || topRecord.priority >= rangePriority);
+
+    // 不让低优先级的记录挤在同一批里，排到优先级更高的区间前面
+    const minPriority = rangePriority === null ? Number.MIN_SAFE_INTEGER : rangePriority;
+    const records = recordsFirst ? getUncheckedRecordsStmt.all(STATUS.UNCHECK, minPriority, batchSize) : [];
+    if (records.length > 0) {
+      for (const record of records) {
+        claimRecordStmt.run(STATUS.CHECKING, batchId, record.id);
+      }
+      insertBatchStmt.run(batchId, clientId, null, records[0].id, records[records.length - 1].id, records.length, leaseSeconds);
+      onBatch('issued', { id: batchId, client_id: clientId, count: records.length });
+      return { batchId, passwords: records.map((record) => record.pwd), count: records.length };
+    }
+
+    const range = allocateRange(batchSize);
+    if (!range) {
+      return null;
+    }
+
+    const count = range.end - range.start;
+    insertBatchStmt.run(batchId, clientId, range.id, null, null, count, leaseSeconds);
+    onBatch('issued', { id: batchId, client_id: clientId, count });
+    return { batchId, passwords: [], range, count };
+  });
+
+  // 结束一个批次：完成时标记为已检查，归还或过期时退回未检查
+  const finishBatch = db.transaction((batch, batchStatus) => {
+    const status = batchStatus === BATCH_STATUS.COMPLETED ? STATUS.CHECKED : STATUS.UNCHECK;
+    if (batch.range_id) {
+      setRangeStatusStmt.run(status, batch.range_id);
+    } else {
+      setBatchRecordsStatusStmt.run(status, batch.id);
+    }
+    finishBatchStmt.run(batchStatus, batch.id);
+    onBatch(batchStatus, batch);
+  });
+
+  // 回收租约已过期的批次，返回回收的批次列表
+  function expireLeases() {
+    const expired = getExpiredBatchesStmt.all(BATCH_STATUS.ACTIVE);
+    for (const batch of expired) {
+      finishBatch(batch, BATCH_STATUS.EXPIRED);
+    }
+    return expired;
+  }
+
+  // 升级前遗留的、或者服务端异常退出时没有活动租约的 CHECKING 状态，启动时退回未检查
+  function recoverOrphanedWork() {
+    const activeBatches = `SELECT id FROM batches WHERE status = '${BATCH_STATUS.ACTIVE}'`;
+    const records = db
+      .prepare(`UPDATE records SET status = ?, batch_id = NULL WHERE status = ? AND (batch_id IS NULL OR batch_id NOT IN (${activeBatches}))`)
+      .run(STATUS.UNCHECK, STATUS.CHECKING);
+    const ranges = db
+      .prepare(
+        `UPDATE ranges SET status = ? WHERE status = ? AND id NOT IN (SELECT range_id FROM batches WHERE range_id IS NOT NULL AND id IN (${activeBatches}))`,
+      )
+      .run(STATUS.UNCHECK, STATUS.CHECKING);
+    return records.changes + ranges.changes;
+  }
+
+  // 按优先级统计密钥空间的进度：未切分的部分都算作未检查
+  function getRangeTiers() {
+    const tiers = db.prepare('SELECT priority, COALESCE(SUM(total), 0) AS total FROM keyspaces GROUP BY priority').all();
+    const rows = db
+      .prepare(
+        `SELECT k.priority, r.status, COALESCE(SUM(r.end_index - r.start_index), 0) AS count
+         FROM ranges r JOIN keyspaces k ON k.id = r.keyspace_id
+         GROUP BY k.priority, r.status`,
+      )
+      .all();
+    return { tiers, rows };
+  }
+
+  // 全表统计各状态的候选数量（逐条记录加密钥空间），tiers 按优先级从高到低给出每一档的数量，数据量大时较慢，由调用方缓存
+  function countByStatus() {
+    const tiers = new Map();
+    const tierOf = (priority) => {
+      if (!tiers.has(priority)) {
+        tiers.set(priority, { priority, uncheck: 0, checking: 0, checked: 0, total: 0 });
+      }
+      return tiers.get(priority);
+    };
+    const addCount = (tier, status, count) => {
+      if (status === STATUS.CHECKING) tier.checking += count;
+      if (status === STATUS.CHECKED) tier.checked += count;
+    };
+
+    for (const row of countByTierStmt.all()) {
+      const tier = tierOf(row.priority);
+      tier.total += row.count;
+      addCount(tier, row.status, row.count);
+    }
+    const ranges = getRangeTiers();
+    for (const row of ranges.tiers) {
+      tierOf(row.priority).total += row.total;
+    }
+    for (const row of ranges.rows) {
+      addCount(tierOf(row.priority), row.status, row.count);
+    }
+
+    const summary = { uncheck: 0, checking: 0, checked: 0, total: 0, tiers: [...tiers.values()].sort((a, b) => b.priority - a.priority) };
+    for (const tier of summary.tiers) {
+      tier.uncheck = tier.total - tier.checking - tier.checked;
+      summary.uncheck += tier.uncheck;
+      summary.checking += tier.checking;
+      summary.checked += tier.checked;
+      summary.total += tier.total;
+    }
+    return summary;
+  }
+
+  // 注入一批候选密码：新的密码按 priority 插入；已存在且未检查的提升到 priority，已检查或检查中的只计为重复
+  const insertRecordStmt = db.prepare('INSERT OR IGNORE INTO records (pwd, status, priority) VALUES (?, ?, ?)');
+  const promoteRecordStmt = db.prepare('UPDATE records SET priority = ? WHERE pwd = ? AND status = ? AND priority < ?');
+  const injectPasswords = db.transaction((passwords, priority) => {
+    const result = { inserted: 0, promoted: 0, duplicate: 0 };
+    for (const password of passwords) {
+      if (insertRecordStmt.run(password, STATUS.UNCHECK, priority).changes > 0) {
+        result.inserted++;
+      } else if (promoteRecordStmt.run(priority, password, STATUS.UNCHECK, priority).changes > 0) {
+        result.promoted++;
+      } else {
+        result.duplicate++;
+      }
+    }
+    return result;
+  });
+
+  // 注入一个密钥空间，掩码已登记时只提升尚未分完部分的优先级，promoted 为尚未切分的候选数，已切分的部分计为重复
+  const insertKeyspaceStmt = db.prepare('INSERT OR IGNORE INTO keyspaces (mask, total, priority) VALUES (?, ?, ?)');
+  const getKeyspaceByMaskStmt = db.prepare('SELECT next_index FROM keyspaces WHERE mask = ?');
+  const promoteKeyspaceStmt = db.prepare('UPDATE keyspaces SET priority = ? WHERE mask = ? AND next_index < total AND priority < ?');
+  const injectKeyspace = db.transaction((mask, total, priority) => {
+    if (insertKeyspaceStmt.run(mask, total, priority).changes > 0) {
+      return { inserted: total, promoted: 0, duplicate: 0 };
+    }
+    if (promoteKeyspaceStmt.run(priority, mask, priority).changes === 0) {
+      return { inserted: 0, promoted: 0, duplicate: total };
+    }
+    const remaining = total - getKeyspaceByMaskStmt.get(mask).next_index;
+    return { inserted: 0, promoted: remaining, duplicate: total - remaining };
+  });
+
+  // 重新排序：从 afterId 之后取一块尚未检查的记录，score(pwd, priority) 返回新的优先级，返回本块的进度
+  const getRecordChunkStmt = db.prepare('SELECT id, pwd, priority FROM records WHERE id > ? AND status = ? ORDER BY id LIMIT ?');
+  const setRecordPriorityStmt = db.prepare('UPDATE records SET priority = ? WHERE id = ?');
+  const maxRecordIdStmt = db.prepare('SELECT COALESCE(MAX(id), 0) AS id FROM records');
+  const rerankRecords = db.transaction((afterId, limit, score) => {
+    const rows = getRecordChunkStmt.all(afterId, STATUS.UNCHECK, limit);
+    let changed = 0;
+    for (const row of rows) {
+      const priority = score(row.pwd, row.priority);
+      if (priority !== row.priority) {
+        setRecordPriorityStmt.run(priority, row.id);
+        changed++;
+      }
+    }
+    return { lastId: rows.length > 0 ? rows[rows.length - 1].id : null, changed };
+  });
+
+  // 重新排序全部密钥空间，已分完的也要更新，回收的区间按所属密钥空间的优先级分发；返回优先级有变化的候选数量
+  const rerankKeyspaces = db.transaction((score) => {
+    let changed = 0;
+    for (const keyspace of db.prepare('SELECT id, mask, total, next_index, priority FROM keyspaces').all()) {
+      const priority = score(keyspace.mask, keyspace.priority);
+      if (priority !== keyspace.priority) {
+        db.prepare('UPDATE keyspaces SET priority = ? WHERE id = ?').run(priority, keyspace.id);
+        changed += keyspace.total;
+      }
+    }
+    return changed;
+  });
+
+  // 全部候选退回未检查，作废所有租约，密钥空间从头开始重新切分
+  const resetAll = db.transaction(() => {
+    const result = db.prepare("UPDATE records SET status = ?, batch_id = NULL, updated_at = strftime('%s', 'now')").run(STATUS.UNCHECK);
+    db.exec('DELETE FROM batches; DELETE FROM ranges; UPDATE keyspaces SET next_index = 0;');
+    return result.changes;
+  });
+
+  return {
+    db,
+    issueBatch,
+    finishBatch,
+    expireLeases,
+    recoverOrphanedWork,
+    countByStatus,
+    resetAll,
+    injectPasswords,
+    injectKeyspace,
+    hasKeyspace: (mask) => getKeyspaceByMaskStmt.get(mask) !== undefined,
+    rerankRecords,
+    rerankKeyspaces,
+    maxRecordId: () => maxRecordIdStmt.get().id,
+    getBatch: (batchId) => getBatchStmt.get(batchId),
+    extendLease: (batchId) => extendLeaseStmt.run(leaseSeconds, batchId),
+    getClientBatches: (clientId) => getClientBatchesStmt.all(clientId, BATCH_STATUS.ACTIVE),
+    countActiveBatches: () => countBatchesStmt.get(BATCH_STATUS.ACTIVE).count,
+    sumBatchCount: (status) => sumBatchCountStmt.get(status).count,
+    countRecords: () => countStmt.get().count,
+    // 候选总数：逐条记录加全部密钥空间的大小
+    countCandidates: () => countStmt.get().count + keyspaceTotalStmt.get().total,
+    getRecord: (id) => getStmt.get(id),
+    getRandomRecord: () => randomStmt.get(),
+    getRecordByPwd: (pwd) => getByPwdStmt.get(pwd),
+  };
+}
+
+module.exports = {
+  BATCH_STATUS,
+  openCandidateStore,
+};
@@ -9,13 +9,30 @@ const os = require('os');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
-const secp256k1 = require('secp256k1');
 const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { expandRange } = require('./mask');
+const { isValidEncrypt, createVerifier, describeEncrypt } = require('./verifiers');
+const { isValidPublicKey, sealIfConfigured } = require('./seal');
 
 // Client configuration
-const CLIENT_ID = `client-${os.hostname()}`;
 const SERVER_URL = process.env.SERVER_URL || 'http://localhost:3000';
-const API_TOKEN = process.env.API_TOKEN || '';
+const CLIENT_VERSION = require('./package.json').version;
+// Per-client credentials issued by POST /clients/enroll; give each client on a host its own file
+const CREDENTIALS_FILE = path.resolve(__dirname, process.env.CLIENT_CREDENTIALS || 'client-credentials.json');
+
+function loadCredentials() {
+  try {
+    return JSON.parse(fs.readFileSync(CREDENTIALS_FILE, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Enrolled clients use their own UUID and token; otherwise fall back to the hostname and the shared API_TOKEN.
+// Both are replaced after enrolling at startup.
+const credentials = isMainThread ? loadCredentials() : null;
+let CLIENT_ID = credentials ? credentials.clientId : `client-${os.hostname()}`;
+let API_TOKEN = credentials ? credentials.token : process.env.API_TOKEN || '';
 const CPU_COUNT = os.cpus().length;
 
 // Reserve some CPU cores for other programs
@@ -33,7 +50,7 @@ if (require('worker_threads').isMainThread) {
   console.log(`Available cores for password cracking: ${AVAILABLE_CORES}`);
   console.log(`Using workers: ${MAX_WORKERS}`);
   console.log(`Server URL: ${SERVER_URL}`);
-  console.log(`API Token: ${API_TOKEN ? '***' : 'NOT SET'}`);
+  console.log(`API Token: ${API_TOKEN ? '***' : 'NOT SET'}${credentials ? ` (enrolled, ${CREDENTIALS_FILE})` : ''}`);
   console.log(
     `current time: ${new Date().toLocaleString('zh-CN', {
       timeZone: 'Asia/Shanghai',
@@ -42,202 +59,412 @@ if (require('worker_threads').isMainThread) {
   );
 }
 
-// Core decryption functions from whale.js
-function deriveKeyFromPassword(password, salt, iterations) {
-  const vKeyData = Buffer.from(password, 'utf8');
-  const vSalt = Buffer.from(salt, 'hex');
-  let data = Buffer.concat([vKeyData, vSalt]);
-
-  for (let i = 0; i < iterations; i++) {
-    data = crypto.createHash('sha512').update(data).digest();
+// A chunk that keeps crashing its worker is given up after this many attempts
+const MAX_CHUNK_ATTEMPTS = 3;
+
+// Long-lived worker threads fed from a shared chunk queue.
+// Idle workers pull the next chunk as soon as they finish, a find cancels the rest
+// through a shared flag, and a crashed worker is restarted with its chunk requeued.
+class WorkerPool {
+  constructor(size) {
+    this.size = size;
+    this.cancelled = new Int32Array(new SharedArrayBuffer(4));
+    this.slots = [];
+    this.batch = null;
+    this.destroyed = false;
+
+    for (let i = 0; i < size; i++) {
+      this.spawn(i);
+    }
   }
 
-  const derivedKey = data.slice(0, 32); // 前32字节作为密钥
-  const iv = data.slice(32, 48); // 后16字节作为IV
-
-  return { derivedKey, iv };
-}
-
-function decryptMasterKey(derivedKey, iv, encryptedKey) {
-  try {
-    const encryptedKeyBytes = Buffer.from(encryptedKey, 'hex');
-    const cipher = crypto.createDecipheriv('aes-256-cbc', derivedKey, iv);
-    cipher.setAutoPadding(false);
+  spawn(index) {
+    const slot = { index, chunk: null };
+    slot.worker = new Worker(__filename, {
+      workerData: {
+        workerIndex: index,
+        cancelled: this.cancelled.buffer,
+        isWorker: true,
+      },
+    });
 
-    const decryptedMaster = Buffer.concat([cipher.update(encryptedKeyBytes), cipher.final()]);
+    slot.worker.on('message', (result) => this.onResult(slot, result));
+    slot.worker.on('error', (error) => {
+      console.error(`Worker ${index} error:`, error);
+    });
+    slot.worker.on('exit', (code) => this.onExit(slot, code));
 
-    return decryptedMaster.slice(0, 32); // 只取前32字节
-  } catch (error) {
-    return null;
+    this.slots[index] = slot;
   }
-}
 
-function doublesha256(bytestring) {
-  const firstHash = crypto.createHash('sha256').update(bytestring).digest();
-  return crypto.createHash('sha256').update(firstHash).digest();
-}
+  run(passwords, encrypt) {
+    if (this.batch) {
+      return Promise.reject(new Error('Worker pool is already processing a batch'));
+    }
 
-function decryptPrivateKey(masterKey, publicKeyBuf, encryptedPrivkey) {
-  try {
-    // 使用原始公钥的双重SHA256作为IV（2011年格式）
-    const ivFull = doublesha256(publicKeyBuf);
-    const iv = ivFull.slice(0, 16); // 只取前16字节作为IV
+    // Small chunks keep every worker busy until the queue drains
+    const chunkSize = Math.min(50, Math.max(1, Math.ceil(passwords.length / (this.size * 4))));
+    const queue = [];
+    for (let start = 0; start < passwords.length; start += chunkSize) {
+      queue.push({ passwords: passwords.slice(start, start + chunkSize), attempts: 0 });
+    }
 
-    // 使用AES-256-CBC解密私钥
-    const encryptedPrivkeyBytes = Buffer.from(encryptedPrivkey, 'hex');
-    const cipher = crypto.createDecipheriv('aes-256-cbc', masterKey, iv);
-    cipher.setAutoPadding(false);
+    Atomics.store(this.cancelled, 0, 0);
+    return new Promise((resolve, reject) => {
+      this.batch = { encrypt, queue, checkedCount: 0, nearMisses: [], rejections: {}, password: null, error: null, resolve, reject };
+      this.dispatch();
+    });
+  }
 
-    const decryptedPrivkey = Buffer.concat([cipher.update(encryptedPrivkeyBytes), cipher.final()]);
+  dispatch() {
+    const batch = this.batch;
+    if (!batch) return;
 
-    return decryptedPrivkey.slice(0, 32); // 只取前32字节
-  } catch (error) {
-    return null;
-  }
-}
+    for (const slot of this.slots) {
+      if (batch.queue.length === 0) break;
+      if (slot.chunk) continue;
+      slot.chunk = batch.queue.shift();
+      slot.worker.postMessage({ passwords: slot.chunk.passwords, encrypt: batch.encrypt });
+    }
 
-function validatePrivateKey(privateKey, expectedPublicKey) {
-  try {
-    // 检查私钥是否有效
-    if (!secp256k1.privateKeyVerify(privateKey)) {
-      return false;
+    if (batch.queue.length === 0 && this.slots.every((slot) => !slot.chunk)) {
+      this.batch = null;
+      if (batch.error) {
+        batch.reject(batch.error);
+      } else {
+        batch.resolve({
+          success: !!batch.password,
+          password: batch.password,
+          checkedCount: batch.checkedCount,
+          nearMisses: batch.nearMisses,
+          rejections: batch.rejections,
+        });
+      }
     }
+  }
 
-    // 使用secp256k1生成公钥，生成非压缩公钥（65字节，2011年格式）
-    let generatedPublicKeyBuf = Buffer.alloc(65);
-    secp256k1.publicKeyCreate(privateKey, false, generatedPublicKeyBuf);
+  // Stop the current batch: queued chunks are dropped and busy workers break out of their loop
+  cancel(error = null) {
+    const batch = this.batch;
+    if (!batch) return;
 
-    // 比较生成的公钥和期望的公钥
-    return generatedPublicKeyBuf.equals(expectedPublicKey);
-  } catch (error) {
-    return false;
+    batch.queue = [];
+    if (error && !batch.error) {
+      batch.error = error;
+    }
+    Atomics.store(this.cancelled, 0, 1);
   }
-}
 
-// Worker thread function
-function createWorker(passwords, encrypt, workerIndex) {
-  return new Promise((resolve, reject) => {
-    const worker = new Worker(__filename, {
-      workerData: {
-        passwords,
-        encrypt,
-        workerIndex,
-        isWorker: true,
-      },
-    });
+  onResult(slot, result) {
+    slot.chunk = null;
+    const batch = this.batch;
+    if (!batch) return;
 
-    worker.on('message', (result) => {
-      resolve(result);
-    });
+    batch.checkedCount += result.checkedCount || 0;
+    if (result.nearMisses && result.nearMisses.length > 0) {
+      batch.nearMisses.push(...result.nearMisses);
+    }
+    for (const [stage, count] of Object.entries(result.rejections || {})) {
+      batch.rejections[stage] = (batch.rejections[stage] || 0) + count;
+    }
+    if (result.error) {
+      this.cancel(new Error(`Worker ${slot.index}: ${result.error}`));
+    } else if (result.success && !batch.password) {
+      batch.password = result.password;
+      this.cancel();
+    }
 
-    worker.on('error', (error) => {
-      console.error(`Worker ${workerIndex} error:`, error);
-      reject(error);
-    });
+    this.dispatch();
+  }
 
-    worker.on('exit', (code) => {
-      if (code !== 0) {
-        reject(new Error(`Worker ${workerIndex} exited with code: ${code}`));
-      }
-    });
-  });
-}
+  onExit(slot, code) {
+    if (this.destroyed) return;
 
-// Worker thread code
-if (!isMainThread && workerData && workerData.isWorker) {
-  const { passwords, encrypt, workerIndex } = workerData;
+    console.error(`Worker ${slot.index} exited with code: ${code}, restarting`);
+    const chunk = slot.chunk;
+    slot.chunk = null;
 
-  // console.log(`Worker ${workerIndex} processing ${passwords.length} passwords`);
+    if (chunk && this.batch) {
+      chunk.attempts++;
+      if (chunk.attempts >= MAX_CHUNK_ATTEMPTS) {
+        this.cancel(new Error(`Chunk crashed ${chunk.attempts} workers, giving up on this batch`));
+      } else {
+        this.batch.queue.unshift(chunk);
+      }
+    }
 
-  // Validate encrypt data
-  if (!encrypt || !encrypt.encrypted_key || !encrypt.encrypted_privkey || !encrypt.uncompressed_public_key || !encrypt.salt || !encrypt.derivationiterations) {
-    console.error(`Worker ${workerIndex} error: Invalid encrypt data`, encrypt);
-    parentPort.postMessage({
-      success: false,
-      error: 'Invalid encrypt data',
-      checkedCount: 0,
-    });
-    process.exit(1);
+    this.spawn(slot.index);
+    this.dispatch();
   }
 
-  const publicKeyBuffer = Buffer.from(encrypt.uncompressed_public_key, 'hex');
+  async destroy() {
+    this.destroyed = true;
+    this.cancel();
+    await Promise.all(this.slots.map((slot) => slot.worker.terminate()));
+  }
+}
 
-  let found = false;
-  let checkedCount = 0;
+// Worker thread code
+if (!isMainThread && workerData && workerData.isWorker) {
+  const { workerIndex } = workerData;
+  const cancelled = new Int32Array(workerData.cancelled);
+
+  // Verifier prepared once per target instead of once per batch
+  let verifierKey = null;
+  let verify = null;
+  let nearMisses = [];
+  let rejections = {};
+
+  parentPort.on('message', ({ passwords, encrypt }) => {
+    // Validate encrypt data
+    if (!isValidEncrypt(encrypt)) {
+      console.error(`Worker ${workerIndex} error: Invalid encrypt data`, encrypt);
+      parentPort.postMessage({
+        success: false,
+        error: 'Invalid encrypt data',
+        checkedCount: 0,
+      });
+      return;
+    }
 
-  for (const password of passwords) {
-    if (found) break;
+    const key = JSON.stringify(encrypt);
+    if (key !== verifierKey) {
+      verify = createVerifier(encrypt, {
+        onNearMiss: (detail) => nearMisses.push(detail),
+        onReject: (stage) => {
+          rejections[stage] = (rejections[stage] || 0) + 1;
+        },
+      });
+      verifierKey = key;
+    }
 
-    try {
-      // Use the correct parameters from encrypt data
-      const { derivedKey, iv } = deriveKeyFromPassword(password, encrypt.salt, encrypt.derivationiterations);
-      const masterKey = decryptMasterKey(derivedKey, iv, encrypt.encrypted_key);
+    let checkedCount = 0;
+    nearMisses = [];
+    rejections = {};
 
-      if (masterKey) {
-        const privateKey = decryptPrivateKey(masterKey, publicKeyBuffer, encrypt.encrypted_privkey);
+    for (const password of passwords) {
+      if (Atomics.load(cancelled, 0)) break;
 
-        if (privateKey && validatePrivateKey(privateKey, publicKeyBuffer)) {
-          console.log(`PASSWORD FOUND! Worker ${workerIndex}: ${password}`);
-          found = true;
+      try {
+        if (verify(password)) {
+          // The main thread prints it, sealed when a result public key is configured
+          console.log(`PASSWORD FOUND! Worker ${workerIndex}`);
           parentPort.postMessage({
             success: true,
             password,
             checkedCount: checkedCount + 1,
+            nearMisses,
+            rejections,
           });
-          break;
+          return;
         }
+      } catch (error) {
+        // Continue to next password
       }
-    } catch (error) {
-      // Continue to next password
-    }
-
-    checkedCount++;
 
-    // Report progress every 1000 passwords
-    if (checkedCount % 1000 === 0) {
-      console.log(`Worker ${workerIndex} checked ${checkedCount}/${passwords.length} passwords`);
+      checkedCount++;
     }
-  }
 
-  if (!found) {
     parentPort.postMessage({
       success: false,
       checkedCount,
+      nearMisses,
+      rejections,
     });
-  }
-
-  process.exit(0);
+  });
 }
 
 // Main thread logic
 if (isMainThread) {
+  async function makeRequest(endpoint, method = 'GET', body = null, token = API_TOKEN) {
+    const options = { method, headers: { 'Content-Type': 'application/json', 'X-Client-Version': CLIENT_VERSION } };
+
+    if (token) {
+      options.headers['X-API-Token'] = token;
+    }
+
+    if (body) {
+      options.body = JSON.stringify(body);
+    }
+
+    const response = await fetch(`${SERVER_URL}${endpoint}`, options);
+    return response.json();
+  }
+
+  // Server push channel (GET /work/control, Server-Sent Events). Commands arrive as
+  // `event: <command>` blocks; the first one on every connection reflects the current state,
+  // so a command missed while disconnected is caught up on reconnect
+  class ControlChannel {
+    constructor(onCommand) {
+      this.onCommand = onCommand;
+      this.controller = null;
+      this.retryTimer = null;
+      this.closed = false;
+    }
+
+    async start() {
+      while (!this.closed) {
+        let retryMs = 5000;
+        this.controller = new AbortController();
+        try {
+          const headers = { 'X-Client-Version': CLIENT_VERSION };
+          if (API_TOKEN) {
+            headers['X-API-Token'] = API_TOKEN;
+          }
+          const response = await fetch(`${SERVER_URL}/work/control?clientId=${encodeURIComponent(CLIENT_ID)}`, { headers, signal: this.controller.signal });
+
+          if (response.status === 404) {
+            console.warn('Server has no control channel, relying on /work/request polling');
+            return;
+          }
+          if (!response.ok) {
+            const body = await response.json().catch(() => ({}));
+            console.warn(`Control channel rejected (${response.status}): ${body.error || 'unknown error'}`);
+            retryMs = 60000;
+          } else {
+            console.log('Control channel connected');
+            await this.read(response.body);
+            console.warn('Control channel closed by server, reconnecting');
+          }
+        } catch (error) {
+          if (this.closed) return;
+          console.warn(`Control channel error: ${error.message}, reconnecting`);
+        }
+
+        await new Promise((resolve) => {
+          this.retryTimer = setTimeout(resolve, retryMs);
+        });
+      }
+    }
+
+    async read(body) {
+      const decoder = new TextDecoder();
+      let buffer = '';
+      for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let index;
+        while ((index = buffer.indexOf('\n\n')) >= 0) {
+          this.dispatch(buffer.slice(0, index));
+          buffer = buffer.slice(index + 2);
+        }
+      }
+    }
+
+    // Lines starting with a colon are keepalive comments
+    dispatch(block) {
+      let command = null;
+      let data = '';
+      for (const line of block.split('\n')) {
+        if (line.startsWith('event:')) command = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      }
+      if (command) {
+        this.onCommand(command, data ? JSON.parse(data) : {});
+      }
+    }
+
+    close() {
+      this.closed = true;
+      clearTimeout(this.retryTimer);
+      if (this.controller) {
+        this.controller.abort();
+      }
+    }
+  }
+
   class PasswordClient {
     constructor() {
       this.running = true;
       this.foundPassword = null;
       this.foundPasswordFile = path.join(__dirname, `found_password_${CLIENT_ID}.txt`);
+      this.pool = new WorkerPool(MAX_WORKERS);
+      this.currentBatchId = null;
+      // Job of the batch being processed, each batch carries its own job's encrypt data
+      this.currentJobId = null;
+      this.heartbeatTimer = null;
+      this.rate = null;
+      // Public key used to seal the found password before it touches disk or logs;
+      // RESULT_PUBLIC_KEY takes precedence over the key sent by the server
+      this.resultPublicKey = process.env.RESULT_PUBLIC_KEY || null;
+      this.stopped = false;
+      this.paused = false;
+      // Control command that cancelled the current batch, tells a cancellation apart from a failure
+      this.interrupted = null;
+      this.wake = null;
+      this.control = new ControlChannel((command, data) => this.onControl(command, data));
     }
 
-    async makeRequest(endpoint, method = 'GET', body = null) {
-      const options = { method, headers: { 'Content-Type': 'application/json' } };
-
-      // Add API token for POST requests
-      if (method === 'POST' && API_TOKEN) {
-        options.headers['X-API-Token'] = API_TOKEN;
+    onControl(command, data) {
+      if (command === 'stop') {
+        if (data.reason === 'password_found') {
+          console.log('*** PASSWORD FOUND, server broadcast stop ***');
+        } else {
+          console.log(`Server requested stop (${data.reason || 'admin'})`);
+        }
+        // The run loop releases the interrupted batch and then stops the client
+        this.running = false;
+        this.interruptBatch(command);
+        this.wakeUp();
+      } else if (command === 'pause') {
+        if (!this.paused) {
+          console.log(`Paused by server (${data.reason || 'admin'})`);
+        }
+        this.paused = true;
+        this.interruptBatch(command);
+      } else if (command === 'resume') {
+        if (this.paused) {
+          console.log('Resumed by server');
+          this.paused = false;
+          this.wakeUp();
+        }
+      } else if (command === 'new-job') {
+        // A command for another job only wakes an idle client, the current batch carries on
+        if (!data.jobId || data.jobId === this.currentJobId) {
+          console.log(`Server switched jobs (${data.reason || 'new job'}), requesting new work`);
+          this.interruptBatch(command);
+        }
+        this.wakeUp();
       }
+    }
 
-      if (body) {
-        options.body = JSON.stringify(body);
+    // Workers check the shared cancel flag between passwords, so the batch stops within one verification
+    interruptBatch(command) {
+      if (this.pool.batch) {
+        this.interrupted = command;
+        this.pool.cancel(new Error(`Interrupted by ${command} command`));
       }
+    }
+
+    // Sleep that a control command can cut short
+    idle(ms) {
+      return new Promise((resolve) => {
+        const timer = setTimeout(resolve, ms);
+        this.wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+    }
+
+    wakeUp() {
+      const wake = this.wake;
+      this.wake = null;
+      if (wake) wake();
+    }
 
-      const response = await fetch(`${SERVER_URL}${endpoint}`, options);
-      return response.json();
+    sealPassword(password) {
+      return sealIfConfigured(password, this.resultPublicKey);
+    }
+
+    makeRequest(endpoint, method = 'GET', body = null) {
+      return makeRequest(endpoint, method, body);
     }
 
     async requestWork() {
       try {
         const result = await this.makeRequest('/work/request', 'POST', {
           cpuCount: MAX_WORKERS, // Report actual worker count, not total CPU count
+          rate: this.rate, // Measured passwords per second, lets the server size the next batch
           clientId: CLIENT_ID,
         });
 
@@ -248,16 +475,23 @@ if (isMainThread) {
       }
     }
 
-    async submitResult(batchId, success, foundPassword = null, passwords = []) {
+    // diagnostics: { nearMisses, rejections } collected by the verifier for this batch
+    async submitResult(batchId, success, foundPassword = null, diagnostics = {}, jobId = null) {
       try {
         const result = await this.makeRequest('/work/result', 'POST', {
           batchId,
+          jobId,
           success,
           foundPassword,
-          passwords,
+          nearMisses: diagnostics.nearMisses || [],
+          rejections: diagnostics.rejections || {},
           clientId: CLIENT_ID,
         });
 
+        if (result && result.leaseLost) {
+          console.warn(`Result for batch ${batchId} rejected: ${result.error}`);
+        }
+
         return result;
       } catch (error) {
         console.error('Error submitting result:', error.message);
@@ -265,7 +499,43 @@ if (isMainThread) {
       }
     }
 
-    async reportFoundPassword(password) {
+    // Keep the batch lease alive while the workers are busy
+    startHeartbeat(batchId, leaseSeconds) {
+      const interval = Math.max(5, Math.floor(leaseSeconds / 3)) * 1000;
+      this.heartbeatTimer = setInterval(async () => {
+        try {
+          const result = await this.makeRequest('/work/heartbeat', 'POST', { batchId, clientId: CLIENT_ID });
+          if (result && result.leaseLost) {
+            console.warn(`Lease for batch ${batchId} lost (${result.error}), abandoning batch`);
+            this.pool.cancel(new Error('Batch lease lost'));
+          }
+        } catch (error) {
+          console.error('Error sending heartbeat:', error.message);
+        }
+      }, interval);
+    }
+
+    stopHeartbeat() {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+
+    // Hand the current batch back so the server can reissue it right away
+    async releaseCurrentBatch() {
+      const batchId = this.currentBatchId;
+      if (!batchId) return;
+
+      this.currentBatchId = null;
+      this.stopHeartbeat();
+      try {
+        await this.makeRequest('/work/release', 'POST', { batchId, clientId: CLIENT_ID });
+        console.log(`Released batch ${batchId}`);
+      } catch (error) {
+        console.error('Error releasing batch:', error.message);
+      }
+    }
+
+    async reportFoundPassword(password, jobId = null) {
       const maxRetries = 5;
       let retryCount = 0;
 
@@ -273,6 +543,7 @@ if (isMainThread) {
         try {
           const result = await this.makeRequest('/work/found', 'POST', {
             password,
+            jobId,
             clientId: CLIENT_ID,
           });
 
@@ -280,6 +551,12 @@ if (isMainThread) {
             console.log('Password successfully reported to server');
             return true; // 成功报告，不需要再重试
           }
+
+          // The server re-ran the check and disagrees, retrying will not change that
+          if (result && result.verified === false) {
+            console.error(`Server rejected the reported password: ${result.error}`);
+            return false;
+          }
         } catch (error) {
           console.error(`Failed to report password (retry ${retryCount + 1}/${maxRetries}):`, error.message);
         }
@@ -294,88 +571,81 @@ if (isMainThread) {
       return false;
     }
 
-    async processPasswords(passwords, encrypt, batchId) {
+    async processPasswords(passwords, encrypt) {
       if (passwords.length === 0) {
-        return { success: false, checkedPasswords: [] };
+        return { success: false, checkedPasswords: [], nearMisses: [], rejections: {} };
       }
 
       console.log(`Processing ${passwords.length} passwords with ${MAX_WORKERS} workers`);
 
-      // Distribute passwords to workers
-      const passwordsPerWorker = Math.ceil(passwords.length / MAX_WORKERS);
-      const workerPromises = [];
-
-      for (let i = 0; i < MAX_WORKERS; i++) {
-        const start = i * passwordsPerWorker;
-        const end = Math.min(start + passwordsPerWorker, passwords.length);
-        const workerPasswords = passwords.slice(start, end);
-
-        if (workerPasswords.length > 0) {
-          workerPromises.push(createWorker(workerPasswords, encrypt, i));
-        }
-      }
-
-      try {
-        const results = await Promise.allSettled(workerPromises);
-
-        // Collect checked passwords count from all workers
-        let totalCheckedCount = 0;
-        let foundPassword = null;
-
-        for (const result of results) {
-          if (result.status === 'fulfilled') {
-            totalCheckedCount += result.value.checkedCount || 0;
-            if (result.value.success) {
-              foundPassword = result.value.password;
-            }
-          }
-        }
+      const startedAt = Date.now();
+      const result = await this.pool.run(passwords, encrypt);
+      this.updateRate(result.checkedCount, (Date.now() - startedAt) / 1000);
+
+      // Report the entire batch as checked either way
+      return {
+        success: result.success,
+        password: result.password,
+        checkedPasswords: passwords,
+        totalChecked: result.checkedCount,
+        nearMisses: result.nearMisses,
+        rejections: result.rejections,
+      };
+    }
 
-        if (foundPassword) {
-          // Password found - return all passwords as checked since we need to report the entire batch
-          return {
-            success: true,
-            password: foundPassword,
-            checkedPasswords: passwords, // Report entire batch as checked
-            totalChecked: totalCheckedCount,
-          };
-        }
+    // Smooth the measured rate so a single slow batch does not swing the next batch size
+    updateRate(checkedCount, seconds) {
+      if (!checkedCount || seconds <= 0) return;
 
-        // No password found
-        return {
-          success: false,
-          checkedPasswords: passwords,
-          totalChecked: totalCheckedCount,
-        };
-      } catch (error) {
-        console.error('Error processing passwords:', error);
-        return {
-          success: false,
-          checkedPasswords: passwords,
-        };
-      }
+      const measured = checkedCount / seconds;
+      this.rate = this.rate ? this.rate * 0.5 + measured * 0.5 : measured;
+      console.log(`Measured ${measured.toFixed(2)} passwords/s, reporting ${this.rate.toFixed(2)} passwords/s`);
     }
 
-    async saveFoundPassword(password) {
-      const content = `Found password: ${password}\nTime: ${new Date().toISOString()}\nClient: ${CLIENT_ID}\n\n`;
+    async saveFoundPassword(password, jobId = null) {
+      const content = `Found password: ${this.sealPassword(password)}\nJob: ${jobId || 'default'}\nTime: ${new Date().toISOString()}\nClient: ${CLIENT_ID}\n\n`;
       await fs.promises.appendFile(this.foundPasswordFile, content);
       console.log(`Password saved to: ${this.foundPasswordFile}`);
     }
 
     async run() {
       console.log('Client starting...');
+      this.control.start();
 
       while (this.running) {
         try {
+          if (this.paused) {
+            await this.idle(60000);
+            continue;
+          }
+
           // Request work
           console.log('Requesting new work...');
           const workRequest = await this.requestWork();
 
+          // A stop or pause arrived while the request was in flight, hand the batch straight back
+          if ((!this.running || this.paused) && workRequest && workRequest.batchId) {
+            this.currentBatchId = workRequest.batchId;
+            await this.releaseCurrentBatch();
+            continue;
+          }
+
           if (!workRequest || !workRequest.success) {
             if (workRequest && workRequest.message) {
               console.log(`Info: ${workRequest.message}`);
             }
 
+            if (workRequest && workRequest.error) {
+              console.error(`Server error: ${workRequest.error}`);
+            }
+
+            // A revoked token never works again; a disabled one may be re-enabled, so keep polling
+            if (workRequest && workRequest.clientStatus === 'revoked') {
+              console.error(`This client has been revoked, delete ${CREDENTIALS_FILE} and enroll again`);
+              this.stop();
+              return;
+            }
+
             // 如果服务器告知密码已找到，停止客户端
             if (workRequest && workRequest.passwordFound) {
               console.log('*** PASSWORD ALREADY FOUND BY ANOTHER CLIENT ***');
@@ -385,42 +655,71 @@ if (isMainThread) {
             }
 
             console.log('Waiting 10 seconds before retry...');
-            await new Promise((resolve) => setTimeout(resolve, 10000));
+            await this.idle(10000);
             continue;
           }
 
-          const { passwords, encrypt, batchId } = workRequest;
-          console.log(`Received ${passwords.length} passwords to check`);
+          const { encrypt, batchId, jobId, range, leaseSeconds } = workRequest;
+          if (!process.env.RESULT_PUBLIC_KEY && workRequest.resultPublicKey && isValidPublicKey(workRequest.resultPublicKey)) {
+            this.resultPublicKey = workRequest.resultPublicKey;
+          }
+          // Range batches only carry a mask and index bounds, expand them locally
+          const passwords = range ? expandRange(range) : workRequest.passwords;
+          if (range) {
+            console.log(`Received range ${range.mask} [${range.start}, ${range.end}) to check`);
+          }
+          console.log(`Received ${passwords.length} passwords to check${jobId ? ` for job ${workRequest.jobName || jobId}` : ''}`);
 
           // Validate encrypt data
-          if (
-            !encrypt ||
-            !encrypt.encrypted_key ||
-            !encrypt.encrypted_privkey ||
-            !encrypt.uncompressed_public_key ||
-            !encrypt.salt ||
-            !encrypt.derivationiterations
-          ) {
+          if (!isValidEncrypt(encrypt)) {
             console.error('Invalid encrypt data received from server:', encrypt);
+            this.currentBatchId = batchId;
+            await this.releaseCurrentBatch();
             console.log('Waiting 10 seconds before retry...');
-            await new Promise((resolve) => setTimeout(resolve, 10000));
+            await this.idle(10000);
             continue;
           }
 
           // Process passwords
-          const result = await this.processPasswords(passwords, encrypt, batchId);
+          this.currentBatchId = batchId;
+          this.currentJobId = jobId || null;
+          this.startHeartbeat(batchId, leaseSeconds);
+          let result;
+          try {
+            result = await this.processPasswords(passwords, encrypt);
+          } catch (error) {
+            if (!this.interrupted) throw error;
+            // Hand the unfinished batch back so the server can reissue it
+            console.log(`Batch ${batchId} interrupted by ${this.interrupted} command`);
+            this.interrupted = null;
+            await this.releaseCurrentBatch();
+            continue;
+          } finally {
+            this.stopHeartbeat();
+            this.currentBatchId = null;
+            this.currentJobId = null;
+          }
 
           if (result.success) {
             // Password found!
             this.foundPassword = result.password;
-            console.log(`*** PASSWORD FOUND: ${result.password} ***`);
+            console.log(`*** PASSWORD FOUND: ${this.sealPassword(result.password)} ***`);
             console.log(`Total passwords checked in this batch: ${result.totalChecked}`);
 
             // Save to local file
-            await this.saveFoundPassword(result.password);
+            await this.saveFoundPassword(result.password, jobId);
 
             // Report to server - report all passwords in the batch as checked
-            const submitResponse = await this.submitResult(batchId, true, result.password, result.checkedPasswords);
+            const submitResponse = await this.submitResult(batchId, true, result.password, result, jobId);
+
+            // The server re-ran the check and disagrees, resubmitting would only be recorded as another bad claim
+            if (submitResponse && submitResponse.verified === false) {
+              console.error(`Server rejected the found password: ${submitResponse.error}, check that encrypt data matches`);
+              this.foundPassword = null;
+              this.currentBatchId = batchId;
+              await this.releaseCurrentBatch();
+              continue;
+            }
 
             // Check if server tells us to stop
             if (submitResponse && submitResponse.shouldStop) {
@@ -429,19 +728,25 @@ if (isMainThread) {
               return;
             }
 
+            // The server recorded the password but other jobs are still running
+            if (submitResponse && submitResponse.success) {
+              console.log(`Server confirmed password found for job ${jobId}, continuing with other jobs`);
+              continue;
+            }
+
             // Try to report the found password
-            const reportSuccess = await this.reportFoundPassword(result.password);
+            const reportSuccess = await this.reportFoundPassword(result.password, jobId);
 
             if (reportSuccess) {
-              console.log('Password successfully reported, stopping client...');
-              this.stop();
-              return;
+              // The next work request tells whether other jobs still need checking
+              console.log('Password successfully reported');
+              continue;
             } else {
               console.log('Failed to report password, will retry periodically...');
               // Set up periodic retry if initial report failed
               let reportCount = 0;
               const reportInterval = setInterval(async () => {
-                const retrySuccess = await this.reportFoundPassword(result.password);
+                const retrySuccess = await this.reportFoundPassword(result.password, jobId);
                 reportCount++;
 
                 if (retrySuccess || reportCount >= 3) {
@@ -458,41 +763,217 @@ if (isMainThread) {
           } else {
             // No password found, report results
             console.log(`No password found, checked ${result.checkedPasswords.length} passwords`);
-            await this.submitResult(batchId, false, null, result.checkedPasswords);
+            // A near miss means the password is very likely right but the ckey data does not match it
+            for (const nearMiss of result.nearMisses) {
+              console.warn(`NEAR MISS: ${this.sealPassword(nearMiss.password)} (${nearMiss.reason}), check the ckey entries in encrypt data`);
+            }
+            await this.submitResult(batchId, false, null, result, jobId);
           }
         } catch (error) {
           console.error('Runtime error:', error);
           console.log('Waiting 10 seconds before retry...');
-          await new Promise((resolve) => setTimeout(resolve, 10000));
+          await this.idle(10000);
         }
       }
+
+      this.stop();
     }
 
     stop() {
+      if (this.stopped) return;
+      this.stopped = true;
       console.log('Stopping client...');
       this.running = false;
+      this.control.close();
+      this.wakeUp();
+      this.pool.destroy();
     }
   }
 
-  // Create and run client
-  const client = new PasswordClient();
+  function formatDuration(seconds) {
+    if (seconds >= 86400) return `${(seconds / 86400).toFixed(1)} days`;
+    if (seconds >= 3600) return `${(seconds / 3600).toFixed(1)} hours`;
+    if (seconds >= 60) return `${(seconds / 60).toFixed(1)} minutes`;
+    return `${seconds.toFixed(1)} seconds`;
+  }
 
-  // Graceful shutdown handling
-  process.on('SIGINT', () => {
-    console.log('\nReceived exit signal...');
-    client.stop();
-    process.exit(0);
-  });
+  // Measure one worker count: warm the pool up first so thread startup is not timed
+  async function measureRate(workers, count, encrypt) {
+    const randomPasswords = (n) => Array.from({ length: n }, () => crypto.randomBytes(6).toString('hex'));
+    const pool = new WorkerPool(workers);
+    try {
+      await pool.run(randomPasswords(workers), encrypt);
+      const startedAt = Date.now();
+      const result = await pool.run(randomPasswords(count), encrypt);
+      return { rate: result.checkedCount / ((Date.now() - startedAt) / 1000), rejections: result.rejections };
+    } finally {
+      await pool.destroy();
+    }
+  }
 
-  process.on('SIGTERM', () => {
-    console.log('\nReceived termination signal...');
-    client.stop();
-    process.exit(0);
-  });
+  // node client.js --benchmark [--seconds N] [--encrypt file] [--report]
+  async function runBenchmark(args) {
+    const option = (name) => {
+      const index = args.indexOf(name);
+      return index >= 0 ? args[index + 1] : undefined;
+    };
+    const seconds = Number(option('--seconds') || 10);
+    const defaultEncrypt = fs.existsSync(path.join(__dirname, 'encrypt.json')) ? 'encrypt.json' : 'encrypt.sample.json';
+    const encryptFile = path.resolve(__dirname, option('--encrypt') || defaultEncrypt);
+    const encrypt = JSON.parse(fs.readFileSync(encryptFile, 'utf8'));
+    if (!isValidEncrypt(encrypt)) {
+      throw new Error(`Invalid encrypt data in ${encryptFile}`);
+    }
 
-  // Start running
-  client.run().catch((error) => {
-    console.error('Client failed to run:', error);
-    process.exit(1);
-  });
+    console.log(`Benchmarking against ${encryptFile} (${describeEncrypt(encrypt)}, ~${seconds}s per run)`);
+
+    // Fixtures carry their password: confirm the staged fast path never rejects it
+    if (encrypt.password) {
+      const rejectedAt = [];
+      const accepted = createVerifier(encrypt, { onReject: (stage) => rejectedAt.push(stage) })(encrypt.password);
+      console.log(accepted ? 'Known password passes every verifier stage' : `WARNING: known password rejected at ${rejectedAt.join(', ') || 'verification'}`);
+    }
+
+    // Calibrate with one worker so every run lasts roughly the requested time
+    const { rate: singleRate } = await measureRate(1, 3, encrypt);
+    const counts = [];
+    for (let workers = 1; workers < CPU_COUNT; workers *= 2) {
+      counts.push(workers);
+    }
+    counts.push(CPU_COUNT);
+
+    const results = [];
+    for (const workers of counts) {
+      const count = Math.max(workers, Math.ceil(singleRate * workers * seconds));
+      const { rate, rejections } = await measureRate(workers, count, encrypt);
+      results.push({ workers, rate });
+      const stages = Object.entries(rejections)
+        .map(([stage, rejected]) => `${stage}=${rejected}`)
+        .join(' ');
+      console.log(`workers=${workers}: ${rate.toFixed(2)} passwords/s (${(rate / workers).toFixed(2)} per worker), rejected ${stages || 'none'}`);
+    }
+
+    // The smallest worker count within 5% of the best rate is where adding workers stops helping
+    const best = Math.max(...results.map((result) => result.rate));
+    const knee = results.find((result) => result.rate >= best * 0.95);
+    const recommended = {
+      MAX_WORKERS: knee.workers,
+      CPU_USAGE_RATIO: Number((knee.workers / CPU_COUNT).toFixed(2)),
+    };
+
+    console.log(`\nBest rate: ${best.toFixed(2)} passwords/s`);
+    console.log(`Recommended: MAX_WORKERS=${recommended.MAX_WORKERS} CPU_USAGE_RATIO=${recommended.CPU_USAGE_RATIO}`);
+    for (let exponent = 6; exponent <= 9; exponent++) {
+      console.log(`10^${exponent} candidates: ${formatDuration(10 ** exponent / knee.rate)}`);
+    }
+
+    if (args.includes('--report')) {
+      const result = await makeRequest('/work/benchmark', 'POST', {
+        clientId: CLIENT_ID,
+        type: encrypt.type || 'bitcoin-core',
+        iterations: encrypt.derivationiterations,
+        cpuCount: CPU_COUNT,
+        results,
+        recommended,
+        rate: knee.rate,
+      });
+      console.log(result && result.success ? 'Benchmark reported to server' : `Failed to report benchmark: ${result && result.error}`);
+    }
+  }
+
+  // node client.js --enroll [--label name]
+  // Registers with the server using ENROLL_TOKEN (or the admin API_TOKEN) and saves the issued credentials
+  async function enroll(label) {
+    const enrollToken = process.env.ENROLL_TOKEN || process.env.API_TOKEN;
+    if (!enrollToken) {
+      throw new Error('ENROLL_TOKEN or API_TOKEN is required to enroll');
+    }
+
+    const result = await makeRequest(
+      '/clients/enroll',
+      'POST',
+      {
+        label,
+        version: CLIENT_VERSION,
+        hardware: {
+          hostname: os.hostname(),
+          platform: os.platform(),
+          arch: os.arch(),
+          cpuModel: os.cpus()[0] ? os.cpus()[0].model : null,
+          cpuCount: CPU_COUNT,
+          workers: MAX_WORKERS,
+          memory: os.totalmem(),
+        },
+      },
+      enrollToken,
+    );
+    if (!result || !result.success) {
+      throw new Error(`Enrollment failed: ${(result && result.error) || 'no response'}`);
+    }
+
+    const saved = { clientId: result.clientId, token: result.token, label, serverUrl: SERVER_URL, enrolledAt: new Date().toISOString() };
+    fs.writeFileSync(CREDENTIALS_FILE, JSON.stringify(saved, null, 2) + '\n', { mode: 0o600 });
+    CLIENT_ID = result.clientId;
+    API_TOKEN = result.token;
+    console.log(`Enrolled as ${CLIENT_ID}, credentials saved to ${CREDENTIALS_FILE}`);
+  }
+
+  async function startClient() {
+    if (process.env.RESULT_PUBLIC_KEY && !isValidPublicKey(process.env.RESULT_PUBLIC_KEY)) {
+      throw new Error('RESULT_PUBLIC_KEY must be a 66 character hex compressed secp256k1 public key (see node seal.js keygen)');
+    }
+
+    // Clients started with an ENROLL_TOKEN and no credentials enroll themselves on first run
+    if (!credentials && process.env.ENROLL_TOKEN) {
+      await enroll(process.env.CLIENT_LABEL || os.hostname());
+    }
+
+    // Create and run client
+    const client = new PasswordClient();
+
+    // Graceful shutdown handling: hand the in-flight batch back before exiting
+    const shutdown = () => {
+      client.stop();
+      client.releaseCurrentBatch().finally(() => process.exit(0));
+    };
+
+    process.on('SIGINT', () => {
+      console.log('\nReceived exit signal...');
+      shutdown();
+    });
+
+    process.on('SIGTERM', () => {
+      console.log('\nReceived termination signal...');
+      shutdown();
+    });
+
+    // Start running
+    client.run().catch((error) => {
+      console.error('Client failed to run:', error);
+      process.exit(1);
+    });
+  }
+
+  const args = process.argv.slice(2);
+  if (args.includes('--benchmark')) {
+    runBenchmark(args)
+      .then(() => process.exit(0))
+      .catch((error) => {
+        console.error('Benchmark failed:', error);
+        process.exit(1);
+      });
+  } else if (args.includes('--enroll')) {
+    const labelIndex = args.indexOf('--label');
+    enroll(labelIndex >= 0 ? args[labelIndex + 1] : process.env.CLIENT_LABEL || os.hostname())
+      .then(() => process.exit(0))
+      .catch((error) => {
+        console.error(error.message);
+        process.exit(1);
+      });
+  } else {
+    startClient().catch((error) => {
+      console.error('Client failed to start:', error.message);
+      process.exit(1);
+    });
+  }
 }
@@ -1,9 +1,12 @@
 const path = require('path');
 const Database = require('better-sqlite3');
 const fs = require('fs');
+const { keyspaceSize } = require('./mask');
+const { scorePassword, scoreMask } = require('./priority');
 
 const BATCH_SIZE = 10_000;
 
+// 候选状态，records 和 ranges 共用，candidates.js 从这里引用
 const STATUS = {
   UNCHECK: 0,
   CHECKING: 1,
@@ -15,13 +18,168 @@ const CREATE_RECORDS_TABLE_SQL = `
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     pwd TEXT NOT NULL UNIQUE,
     status INTEGER NOT NULL DEFAULT 0,
+    updated_at INTEGER DEFAULT (strftime('%s', 'now')),
+    batch_id TEXT,
+    priority INTEGER NOT NULL DEFAULT 0
+  );
+`;
+
+// 密钥空间：一个掩码描述的全部候选密码，不再逐条落库，语法见 mask.js
+// priority 与 records 相同，数值大的先分发
+const CREATE_KEYSPACES_TABLE_SQL = `
+  CREATE TABLE IF NOT EXISTS keyspaces (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    mask TEXT NOT NULL UNIQUE,
+    total INTEGER NOT NULL,
+    next_index INTEGER NOT NULL DEFAULT 0,
+    created_at INTEGER DEFAULT (strftime('%s', 'now')),
+    priority INTEGER NOT NULL DEFAULT 0
+  );
+`;
+
+// 已分发的索引区间 [start_index, end_index)，状态含义同 records
+const CREATE_RANGES_TABLE_SQL = `
+  CREATE TABLE IF NOT EXISTS ranges (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    keyspace_id INTEGER NOT NULL REFERENCES keyspaces(id),
+    start_index INTEGER NOT NULL,
+    end_index INTEGER NOT NULL,
+    status INTEGER NOT NULL DEFAULT 0,
+    updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+  );
+  CREATE INDEX IF NOT EXISTS idx_ranges_status ON ranges (status);
+`;
+
+// 分发给客户端的批次（租约），逐条记录批次通过 records.batch_id 关联，区间批次通过 range_id 关联
+// status: active 租约中 / completed 已完成 / released 客户端主动归还 / expired 租约过期被回收
+const CREATE_BATCHES_TABLE_SQL = `
+  CREATE TABLE IF NOT EXISTS batches (
+    id TEXT PRIMARY KEY,
+    client_id TEXT NOT NULL,
+    range_id INTEGER REFERENCES ranges(id),
+    first_id INTEGER,
+    last_id INTEGER,
+    count INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'active',
+    issued_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+    lease_expires_at INTEGER NOT NULL,
+    finished_at INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS idx_batches_status ON batches (status, lease_expires_at);
+`;
+
+// 可疑事件，例如客户端上报了未通过服务端复核的密码
+const CREATE_SUSPICIOUS_EVENTS_TABLE_SQL = `
+  CREATE TABLE IF NOT EXISTS suspicious_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    client_id TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    detail TEXT,
+    created_at INTEGER DEFAULT (strftime('%s', 'now'))
+  );
+`;
+
+// 字典导入进度，byte_offset 之前的内容已经写入 records，中断后可从这里继续
+const CREATE_IMPORTS_TABLE_SQL = `
+  CREATE TABLE IF NOT EXISTS imports (
+    file TEXT PRIMARY KEY,
+    size INTEGER NOT NULL,
+    mtime INTEGER NOT NULL,
+    byte_offset INTEGER NOT NULL DEFAULT 0,
+    inserted INTEGER NOT NULL DEFAULT 0,
+    duplicate INTEGER NOT NULL DEFAULT 0,
+    rejected INTEGER NOT NULL DEFAULT 0,
+    done INTEGER NOT NULL DEFAULT 0,
     updated_at INTEGER DEFAULT (strftime('%s', 'now'))
   );
 `;
 
+// 客户端注册表，每个客户端注册时分配 UUID 和独立 token，只保存 token 的 SHA-256
+// status 为 active、disabled（可恢复）或 revoked（永久失效，需要重新注册）
+const CREATE_CLIENT_REGISTRY_TABLE_SQL = `
+  CREATE TABLE IF NOT EXISTS client_registry (
+    id TEXT PRIMARY KEY,
+    token_hash TEXT NOT NULL UNIQUE,
+    label TEXT,
+    hostname TEXT,
+    hardware TEXT,
+    version TEXT,
+    status TEXT NOT NULL DEFAULT 'active',
+    enrolled_at INTEGER NOT NULL,
+    last_seen_at INTEGER,
+    status_changed_at INTEGER
+  );
+`;
+
+// 通知投递日志，每次尝试（包括重试）一行，status 为 delivered、retrying 或 failed
+const CREATE_NOTIFICATIONS_TABLE_SQL = `
+  CREATE TABLE IF NOT EXISTS notifications (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event TEXT NOT NULL,
+    target TEXT NOT NULL,
+    attempt INTEGER NOT NULL,
+    status TEXT NOT NULL,
+    error TEXT,
+    created_at INTEGER DEFAULT (strftime('%s', 'now'))
+  );
+`;
+
+// 任务注册表，保存在 DB_NAME 对应的主库中；每个任务有自己的候选库（data/ 下的 db_name）和 encrypt 数据
+// state 为 running（正常分发）、paused（暂停分发）、draining（不再分发，等待进行中的批次完成），服务器重启后保持
+// priority 高的任务先分发，priority 相同的任务按 weight 加权轮询
+const CREATE_JOBS_TABLE_SQL = `
+  CREATE TABLE IF NOT EXISTS jobs (
+    id TEXT PRIMARY KEY,
+    name TEXT,
+    db_name TEXT NOT NULL UNIQUE,
+    encrypt TEXT NOT NULL,
+    priority INTEGER NOT NULL DEFAULT 0,
+    weight INTEGER NOT NULL DEFAULT 1,
+    state TEXT NOT NULL DEFAULT 'running',
+    reason TEXT,
+    created_at INTEGER DEFAULT (strftime('%s', 'now')),
+    changed_at INTEGER DEFAULT (strftime('%s', 'now'))
+  );
+`;
+
 // 数据库连接缓存
 const dbConnections = new Map();
 
+/**
+ * 确保所有表结构存在
+ * @param {Database} db - 数据库连接实例
+ */
+function ensureSchema(db) {
+  db.exec(CREATE_RECORDS_TABLE_SQL);
+  db.exec(CREATE_KEYSPACES_TABLE_SQL);
+  db.exec(CREATE_RANGES_TABLE_SQL);
+  db.exec(CREATE_BATCHES_TABLE_SQL);
+  db.exec(CREATE_SUSPICIOUS_EVENTS_TABLE_SQL);
+  db.exec(CREATE_IMPORTS_TABLE_SQL);
+  db.exec(CREATE_CLIENT_REGISTRY_TABLE_SQL);
+  db.exec(CREATE_NOTIFICATIONS_TABLE_SQL);
+  db.exec(CREATE_JOBS_TABLE_SQL);
+
+  // 旧数据库的 records 表没有 batch_id 列，ADD COLUMN 只改表结构，不会重写数据
+  const columns = db.prepare('PRAGMA table_info(records)').all();
+  if (!columns.some((column) => column.name === 'batch_id')) {
+    db.exec('ALTER TABLE records ADD COLUMN batch_id TEXT');
+  }
+  // 只有检查中的记录才有 batch_id，部分索引保持很小
+  db.exec('CREATE INDEX IF NOT EXISTS idx_records_batch ON records (batch_id) WHERE batch_id IS NOT NULL');
+
+  // priority 决定分发顺序，数值大的先分发，运行时注入的候选靠它插队
+  // 旧数据库第一次启动时要为全表建索引，记录很多时需要等一会儿
+  if (!columns.some((column) => column.name === 'priority')) {
+    db.exec('ALTER TABLE records ADD COLUMN priority INTEGER NOT NULL DEFAULT 0');
+  }
+  const keyspaceColumns = db.prepare('PRAGMA table_info(keyspaces)').all();
+  if (!keyspaceColumns.some((column) => column.name === 'priority')) {
+    db.exec('ALTER TABLE keyspaces ADD COLUMN priority INTEGER NOT NULL DEFAULT 0');
+  }
+  db.exec('CREATE INDEX IF NOT EXISTS idx_records_queue ON records (status, priority DESC, id)');
+}
+
 /**
  * 获取或创建数据库连接
  * @param {string} dbName - 数据库文件名
@@ -39,7 +197,7 @@ function getDbConnection(dbName) {
     const db = new Database(dbPath);
 
     // 确保表结构存在
-    db.exec(CREATE_RECORDS_TABLE_SQL);
+    ensureSchema(db);
 
     dbConnections.set(dbName, db);
     console.log(`数据库连接已创建: ${dbName}`);
@@ -55,10 +213,12 @@ function getDbConnection(dbName) {
  * @param {Object} options - 可选配置
  * @param {number} options.batchSize - 批处理大小，默认10000
  * @param {boolean} options.showProgress - 是否显示进度，默认true
+ * @param {number|function(string): number} options.priority - 优先级，或按密码计算优先级的函数，默认按 priority.js 的规则计分
  * @returns {number} 成功插入的记录数
  */
 function insertToDb(dbName, passwords, options = {}) {
-  const { batchSize = BATCH_SIZE, showProgress = true } = options;
+  const { batchSize = BATCH_SIZE, showProgress = true, priority = scorePassword } = options;
+  const priorityOf = typeof priority === 'function' ? priority : () => priority;
 
   if (!dbName || typeof dbName !== 'string') {
     throw new Error('数据库名称必须是非空字符串');
@@ -76,16 +236,15 @@ function insertToDb(dbName, passwords, options = {}) {
   const db = getDbConnection(dbName);
 
   // 预编译语句
-  const insertStmt = db.prepare('INSERT OR IGNORE INTO records (pwd, status) VALUES (?, ?)');
+  const insertStmt = db.prepare('INSERT OR IGNORE INTO records (pwd, status, priority) VALUES (?, ?, ?)');
   const insertMany = db.transaction((batch) => {
     let insertedCount = 0;
     for (const password of batch) {
-      if (typeof password === 'string' && password.trim()) {
-        const result = insertStmt.run(password.trim(), STATUS.UNCHECK);
+      // 密码原样写入，首尾的空格也是密码的一部分；重复的密码直接忽略，调用方可以用处理数减去插入数得到重复数
+      if (typeof password === 'string' && password) {
+        const result = insertStmt.run(password, STATUS.UNCHECK, priorityOf(password));
         if (result.changes > 0) {
           insertedCount++;
-        } else {
-          console.log(`插入失败: ${password.trim()}`);
         }
       }
     }
@@ -114,7 +273,9 @@ function insertToDb(dbName, passwords, options = {}) {
     }
 
     if (showProgress) {
-      console.log(`插入完成: ${totalInserted.toLocaleString()} 条记录成功插入到 ${dbName}`);
+      console.log(
+        `插入完成: ${totalInserted.toLocaleString()} 条记录成功插入到 ${dbName}，跳过 ${(processed - totalInserted).toLocaleString()} 条重复或空白记录`,
+      );
     }
 
     return totalInserted;
@@ -124,6 +285,81 @@ function insertToDb(dbName, passwords, options = {}) {
   }
 }
 
+/**
+ * 插入一个掩码描述的密钥空间，候选密码由客户端按索引展开
+ * @param {string} dbName - 数据库文件名
+ * @param {string} mask - 掩码，例如 ljy?d{1,8}zq
+ * @param {number} priority - 优先级，默认按最短候选的长度计分（见 priority.js）
+ * @returns {number} 新增的候选密码数量，已存在时为0
+ */
+function insertKeyspace(dbName, mask, priority = scoreMask(mask)) {
+  // 掩码无效时 keyspaceSize 会抛出异常
+  const total = keyspaceSize(mask);
+
+  const db = getDbConnection(dbName);
+  const result = db.prepare('INSERT OR IGNORE INTO keyspaces (mask, total, priority) VALUES (?, ?, ?)').run(mask, total, priority);
+  return result.changes > 0 ? total : 0;
+}
+
+/**
+ * 获取字典文件的导入进度
+ * @param {string} dbName - 数据库文件名
+ * @param {string} file - 字典文件绝对路径
+ * @returns {Object|undefined} 导入进度，从未导入时为 undefined
+ */
+function getImportCheckpoint(dbName, file) {
+  const db = getDbConnection(dbName);
+  return db.prepare('SELECT * FROM imports WHERE file = ?').get(file);
+}
+
+/**
+ * 从头开始记录字典文件的导入进度
+ * @param {string} dbName - 数据库文件名
+ * @param {string} file - 字典文件绝对路径
+ * @param {number} size - 文件大小，用于判断文件是否变化
+ * @param {number} mtime - 文件修改时间（毫秒）
+ */
+function resetImportCheckpoint(dbName, file, size, mtime) {
+  const db = getDbConnection(dbName);
+  db.prepare(
+    `INSERT OR REPLACE INTO imports (file, size, mtime, byte_offset, inserted, duplicate, rejected, done, updated_at)
+     VALUES (?, ?, ?, 0, 0, 0, 0, 0, strftime('%s', 'now'))`,
+  ).run(file, size, mtime);
+}
+
+/**
+ * 在同一个事务里插入一批密码并推进导入进度，保证中断后不会漏导或重复计数
+ * @param {string} dbName - 数据库文件名
+ * @param {string} file - 字典文件绝对路径
+ * @param {string[]} passwords - 已校验的密码数组
+ * @param {Object} progress - 本批对应的进度
+ * @param {number} progress.byteOffset - 本批最后一行之后的字节偏移
+ * @param {number} progress.rejected - 本批被拒绝的行数
+ * @param {boolean} progress.done - 文件是否已导入完毕
+ * @returns {{inserted: number, duplicate: number}} 本批插入数和重复数
+ */
+function importBatch(dbName, file, passwords, { byteOffset, rejected = 0, done = false }) {
+  const db = getDbConnection(dbName);
+  const insertStmt = db.prepare('INSERT OR IGNORE INTO records (pwd, status, priority) VALUES (?, ?, ?)');
+  const checkpointStmt = db.prepare(`
+    UPDATE imports
+    SET byte_offset = ?, inserted = inserted + ?, duplicate = duplicate + ?, rejected = rejected + ?, done = ?, updated_at = strftime('%s', 'now')
+    WHERE file = ?
+  `);
+
+  const run = db.transaction(() => {
+    let inserted = 0;
+    for (const password of passwords) {
+      inserted += insertStmt.run(password, STATUS.UNCHECK, scorePassword(password)).changes;
+    }
+    const duplicate = passwords.length - inserted;
+    checkpointStmt.run(byteOffset, inserted, duplicate, rejected, done ? 1 : 0, file);
+    return { inserted, duplicate };
+  });
+
+  return run();
+}
+
 /**
  * 获取数据库中的记录数量
  * @param {string} dbName - 数据库文件名
@@ -172,12 +408,18 @@ function clearDb(dbName) {
   const db = getDbConnection(dbName);
   const deleteStmt = db.prepare('DELETE FROM records');
   const result = deleteStmt.run();
+  db.exec('DELETE FROM batches; DELETE FROM ranges; DELETE FROM keyspaces;');
   console.log(`已清空数据库 ${dbName}，删除了 ${result.changes} 条记录`);
   return result.changes;
 }
 
 module.exports = {
+  ensureSchema,
   insertToDb,
+  insertKeyspace,
+  getImportCheckpoint,
+  resetImportCheckpoint,
+  importBatch,
   getRecordCount,
   closeDb,
   closeAllDbs,
@@ -0,0 +1,159 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const secp256k1 = require('secp256k1');
+const { encryptMasterKey, encryptPrivateKey } = require('./wallet');
+const { insertToDb, getRecordCount, closeDb } = require('./db');
+const { PRIORITY } = require('./priority');
+
+const DEFAULT_ITERATIONS = 1000;
+const DEFAULT_DECOYS = 3000;
+
+function generateRandomAsciiLetters(length = 10) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+  let result = '';
+  for (let i = 0; i < length; i += 1) {
+    const idx = crypto.randomInt(0, alphabet.length);
+    result += alphabet[idx];
+  }
+  return result;
+}
+
+/**
+ * 用给定密码生成一份加密钱包数据，格式与 encrypt.json 相同
+ * @param {string} password - 钱包密码
+ * @param {Object} options - 可选配置
+ * @param {number} options.iterations - SHA-512 迭代次数，默认1000
+ * @param {boolean} options.compressed - ckey 是否以压缩公钥保存（私钥 IV 由该公钥计算）
+ * @returns {Object} encrypt.json 内容，额外带有 password 字段
+ */
+function createEncrypt(password, options = {}) {
+  const { iterations = DEFAULT_ITERATIONS, compressed = false } = options;
+  if (typeof password !== 'string' || !password) {
+    throw new Error('必须指定钱包密码');
+  }
+  if (!Number.isInteger(iterations) || iterations <= 0) {
+    throw new Error(`迭代次数无效: ${iterations}`);
+  }
+
+  let privateKey;
+  do {
+    privateKey = crypto.randomBytes(32);
+  } while (!secp256k1.privateKeyVerify(privateKey));
+
+  const masterKey = crypto.randomBytes(32);
+  const salt = crypto.randomBytes(8).toString('hex');
+  const uncompressed = Buffer.from(secp256k1.publicKeyCreate(privateKey, false));
+  const publicKey = Buffer.from(secp256k1.publicKeyCreate(privateKey, true));
+
+  return {
+    nID: 1,
+    salt,
+    derivationmethod: 0,
+    derivationiterations: iterations,
+    encrypted_key: encryptMasterKey(password, salt, iterations, masterKey).toString('hex'),
+    encrypted_privkey: encryptPrivateKey(masterKey, compressed ? publicKey : uncompressed, privateKey).toString('hex'),
+    password,
+    uncompressed_public_key: uncompressed.toString('hex'),
+    public_key: publicKey.toString('hex'),
+  };
+}
+
+/**
+ * 生成样本数据库：随机干扰密码中的指定位置放入正确密码
+ * @param {string} dbName - 数据库文件名，已存在时需要 force 才会删除重建
+ * @param {string} password - 正确密码
+ * @param {Object} options - 可选配置
+ * @param {number} options.decoys - 干扰密码数量，默认3000
+ * @param {number} options.position - 正确密码的位置（从0开始），默认放在最后
+ * @param {boolean} options.force - 数据库已存在时是否删除重建，默认false
+ * @returns {{total: number, position: number}} 数据库记录数和正确密码的位置
+ */
+function createSampleDb(dbName, password, options = {}) {
+  const { decoys = DEFAULT_DECOYS, position = decoys, force = false } = options;
+  if (!Number.isInteger(position) || position < 0 || position > decoys) {
+    throw new Error(`正确密码的位置必须在 0 到 ${decoys} 之间`);
+  }
+
+  const dbPath = path.join(__dirname, 'data', dbName);
+  // 指向正在使用的候选库时会连同检查进度一起删掉
+  if (fs.existsSync(dbPath) && !force) {
+    throw new Error(`data/${dbName} 已存在，使用 --force 覆盖或 --db 指定其他文件`);
+  }
+  if (fs.existsSync(dbPath)) {
+    closeDb(dbName);
+    fs.unlinkSync(dbPath);
+  }
+
+  // 干扰密码去重且不与正确密码相同，保证正确密码的记录 id 就是 position + 1
+  const passwords = new Set();
+  while (passwords.size < decoys) {
+    const candidate = generateRandomAsciiLetters(10);
+    if (candidate !== password) passwords.add(candidate);
+  }
+  const list = [...passwords];
+  list.splice(position, 0, password);
+
+  // 全部记录同一优先级，按 id 顺序分发，position 就是检查的顺序
+  insertToDb(dbName, list, { showProgress: false, priority: PRIORITY.DEFAULT });
+  const total = getRecordCount(dbName);
+  closeDb(dbName);
+
+  return { total, position };
+}
+
+function parseArgs(argv) {
+  const options = { compressed: false, force: false, out: path.join(__dirname, 'encrypt.json'), db: 'fixture.db' };
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i];
+    if (name === '--compressed' || name === '--force') {
+      options[name.slice(2)] = true;
+    } else if (['--password', '--out', '--db'].includes(name)) {
+      options[name.slice(2)] = argv[++i];
+    } else if (['--iterations', '--decoys', '--position'].includes(name)) {
+      options[name.slice(2)] = Number(argv[++i]);
+    } else {
+      throw new Error(`未知参数: ${name}`);
+    }
+  }
+  return options;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.password) {
+    console.log('用法: node fixture.js --password 密码 [--iterations N] [--compressed] [--decoys N] [--position N] [--db 数据库文件名] [--out 文件] [--force]');
+    console.log('例如: node fixture.js --password l00088zq --iterations 1000 --position 100');
+    process.exit(1);
+  }
+
+  // 避免覆盖真实钱包的 encrypt.json
+  if (fs.existsSync(options.out) && !options.force) {
+    throw new Error(`${options.out} 已存在，使用 --force 覆盖或 --out 指定其他文件`);
+  }
+
+  const { total, position } = createSampleDb(options.db, options.password, {
+    decoys: options.decoys,
+    position: options.position,
+    force: options.force,
+  });
+  console.log(`已生成 data/${options.db}，共 ${total} 条密码，正确密码位于第 ${position} 条（记录 id ${position + 1}）`);
+
+  const encrypt = createEncrypt(options.password, { iterations: options.iterations, compressed: options.compressed });
+  fs.writeFileSync(options.out, JSON.stringify(encrypt, null, 2) + '\n');
+  console.log(`已写入 ${options.out}，迭代次数 ${encrypt.derivationiterations}，${options.compressed ? '压缩' : '非压缩'}公钥`);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error('生成失败:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  createEncrypt,
+  createSampleDb,
+};
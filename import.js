@@ -0,0 +1,223 @@
+const path = require('path');
+const fs = require('fs');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+const { getImportCheckpoint, resetImportCheckpoint, importBatch, closeDb } = require('./db');
+
+const BATCH_SIZE = 10_000;
+const DEFAULT_MAX_LENGTH = 128;
+const PROGRESS_INTERVAL = 5000;
+
+// 控制字符（换行已在按行拆分时去掉）
+const CONTROL_CHARS = /[\x00-\x1f\x7f]/;
+
+function formatDuration(seconds) {
+  if (!Number.isFinite(seconds)) return '未知';
+  seconds = Math.round(seconds);
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+
+  const parts = [];
+  if (hours > 0) parts.push(`${hours}小时`);
+  if (minutes > 0) parts.push(`${minutes}分钟`);
+  if (secs > 0 || parts.length === 0) parts.push(`${secs}秒`);
+  return parts.join(' ');
+}
+
+function isGzipFile(file) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const magic = Buffer.alloc(2);
+    const bytesRead = fs.readSync(fd, magic, 0, 2, 0);
+    return bytesRead === 2 && magic[0] === 0x1f && magic[1] === 0x8b;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * 逐行读取字典流，返回每行内容和该行结束后的字节偏移
+ * @param {stream.Readable} stream - 字典内容流
+ * @param {number} streamOffset - 流的第一个字节在文件中的偏移
+ * @param {number} startOffset - 该偏移之前的行直接跳过
+ */
+async function* readLines(stream, streamOffset, startOffset) {
+  let offset = streamOffset;
+  let pending = Buffer.alloc(0);
+  for await (const chunk of stream) {
+    const buf = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+    let lineStart = 0;
+    let newline;
+    while ((newline = buf.indexOf(0x0a, lineStart)) !== -1) {
+      const lineEnd = offset + newline + 1;
+      if (lineEnd > startOffset) {
+        yield { line: buf.subarray(lineStart, newline), offset: lineEnd };
+      }
+      lineStart = newline + 1;
+    }
+    offset += lineStart;
+    pending = buf.subarray(lineStart);
+  }
+
+  if (pending.length > 0 && offset + pending.length > startOffset) {
+    yield { line: pending, offset: offset + pending.length };
+  }
+}
+
+/**
+ * 校验一行字典内容
+ * @returns {string|null|undefined} 合法的密码；空行返回 undefined（直接跳过）；不合法返回 null（计入拒绝数）
+ */
+function parseLine(line, maxLength) {
+  // readLines 已去掉 \n，这里只去掉 Windows 换行留下的 \r，密码首尾的空格原样保留
+  const text = line.toString('utf8').replace(/\r$/, '');
+  if (!text) return undefined;
+  if (text.includes('\uFFFD') || CONTROL_CHARS.test(text) || text.length > maxLength) {
+    return null;
+  }
+  return text;
+}
+
+/**
+ * 导入单个字典文件，每批写入时同步保存字节偏移
+ * @param {string} dbName - 数据库文件名
+ * @param {string} file - 字典文件路径
+ * @param {Object} options - 可选配置
+ * @param {boolean} options.restart - 忽略已有进度，从头导入
+ * @param {number} options.maxLength - 允许的最大密码长度
+ * @returns {Promise<Object>} 该文件的导入统计
+ */
+async function importFile(dbName, file, options = {}) {
+  const { restart = false, maxLength = DEFAULT_MAX_LENGTH } = options;
+  const absFile = path.resolve(file);
+  const { size, mtimeMs } = fs.statSync(absFile);
+  const mtime = Math.floor(mtimeMs);
+
+  let checkpoint = getImportCheckpoint(dbName, absFile);
+  if (checkpoint && !restart && (checkpoint.size !== size || checkpoint.mtime !== mtime)) {
+    console.log(`${file} 自上次导入后已修改，从头开始导入`);
+    checkpoint = null;
+  }
+  if (checkpoint && !restart && checkpoint.done) {
+    console.log(`${file} 已导入完成，跳过（使用 --restart 重新导入）`);
+    return checkpoint;
+  }
+  if (!checkpoint || restart) {
+    resetImportCheckpoint(dbName, absFile, size, mtime);
+    checkpoint = getImportCheckpoint(dbName, absFile);
+  }
+
+  const startOffset = checkpoint.byte_offset;
+  if (startOffset > 0) {
+    console.log(`${file} 从字节偏移 ${startOffset.toLocaleString()} 继续导入`);
+  }
+
+  // 普通文本直接从断点开始读；gzip 无法随机定位，只能从头解压后跳过已导入的部分，偏移按解压后的字节计
+  const gzip = isGzipFile(absFile);
+  const raw = fs.createReadStream(absFile, gzip ? {} : { start: startOffset });
+  const rawStart = gzip ? 0 : startOffset;
+  const input = gzip ? pipeline(raw, zlib.createGunzip(), () => {}) : raw;
+  const startedAt = Date.now();
+  const session = { lines: 0, inserted: 0, duplicate: 0, rejected: 0 };
+  let batch = [];
+  let rejected = 0;
+  let lastOffset = startOffset;
+  let lastReport = startedAt;
+
+  const flush = (done) => {
+    const result = importBatch(dbName, absFile, batch, { byteOffset: lastOffset, rejected, done });
+    session.inserted += result.inserted;
+    session.duplicate += result.duplicate;
+    session.rejected += rejected;
+    batch = [];
+    rejected = 0;
+  };
+
+  const report = () => {
+    const elapsed = (Date.now() - startedAt) / 1000;
+    const bytesDone = raw.bytesRead + rawStart;
+    const byteRate = raw.bytesRead / elapsed;
+    const eta = byteRate > 0 ? (size - bytesDone) / byteRate : Infinity;
+    const percent = size > 0 ? ((bytesDone / size) * 100).toFixed(1) : '100.0';
+    console.log(
+      `${file} ${percent}%，${Math.round(session.lines / elapsed).toLocaleString()} 行/秒，预计剩余 ${formatDuration(eta)}，` +
+        `新增 ${session.inserted.toLocaleString()} 重复 ${session.duplicate.toLocaleString()} 拒绝 ${session.rejected.toLocaleString()}`,
+    );
+  };
+
+  for await (const { line, offset } of readLines(input, rawStart, startOffset)) {
+    session.lines++;
+    lastOffset = offset;
+
+    const password = parseLine(line, maxLength);
+    if (password) {
+      batch.push(password);
+    } else if (password === null) {
+      rejected++;
+    }
+
+    if (batch.length >= BATCH_SIZE) {
+      flush(false);
+      if (Date.now() - lastReport >= PROGRESS_INTERVAL) {
+        lastReport = Date.now();
+        report();
+      }
+    }
+  }
+  flush(true);
+  report();
+
+  return getImportCheckpoint(dbName, absFile);
+}
+
+function parseArgs(argv) {
+  const options = { restart: false, maxLength: DEFAULT_MAX_LENGTH };
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--restart') {
+      options.restart = true;
+    } else if (argv[i] === '--max-length') {
+      options.maxLength = parseInt(argv[++i], 10);
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  const [dbName, ...files] = positional;
+  return { dbName, files, options };
+}
+
+async function main() {
+  const { dbName, files, options } = parseArgs(process.argv.slice(2));
+  if (!dbName || files.length === 0 || !Number.isInteger(options.maxLength) || options.maxLength <= 0) {
+    console.log('用法: node import.js <数据库文件名> <字典文件...> [--restart] [--max-length N]');
+    console.log('例如: node import.js lucky02.db rockyou.txt extra.txt.gz');
+    process.exit(1);
+  }
+
+  const summary = [];
+  for (const file of files) {
+    console.time(`导入${file}耗时`);
+    const result = await importFile(dbName, file, options);
+    console.timeEnd(`导入${file}耗时`);
+    summary.push({ file, inserted: result.inserted, duplicate: result.duplicate, rejected: result.rejected });
+  }
+
+  console.log('\n导入统计（含此前中断的部分）');
+  for (const { file, inserted, duplicate, rejected } of summary) {
+    console.log(`${file}: 新增 ${inserted.toLocaleString()}，重复 ${duplicate.toLocaleString()}，拒绝 ${rejected.toLocaleString()}`);
+  }
+
+  closeDb(dbName);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('导入失败:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  importFile,
+};
@@ -0,0 +1,144 @@
+const { keyspaceSize, expandRange } = require('./mask');
+const { parseRule, mutate } = require('./rules');
+
+// 运行时注入候选密码的三种写法，由服务端 POST /admin/jobs/:id/candidates 在后台分块写入任务的候选库
+//   { passwords: ['pwd1', 'pwd2'] }                      逐条密码
+//   { mask: 'ljy?d{1,8}zq' }                              掩码，语法见 mask.js
+//   { rules: ['c $1', 'u'], words: ['ljy', 'zq'] }        对单词执行规则，语法见 rules.js
+// 逐条写入的候选与 records 去重；掩码不超过 EXPAND_LIMIT 时也展开成逐条记录去重，更大的掩码登记为密钥空间，
+// 已登记为密钥空间的掩码不再展开，只提升尚未分完部分的优先级
+
+const EXPAND_LIMIT = 1_000_000;
+const MAX_GENERATED = 10_000_000;
+const MAX_LENGTH = 128;
+
+// 控制字符，与 import.js 校验字典行的规则相同
+const CONTROL_CHARS = /[\x00-\x1f\x7f]/;
+
+function isValidPassword(password) {
+  return typeof password === 'string' && !!password && !password.includes('\uFFFD') && !CONTROL_CHARS.test(password) && password.length <= MAX_LENGTH;
+}
+
+// 把候选流切成块，每块附带本块拒绝的数量
+function* toChunks(candidates, chunkSize) {
+  let passwords = [];
+  let rejected = 0;
+  for (const candidate of candidates) {
+    // 密码原样保留，首尾空格也是密码的一部分
+    if (isValidPassword(candidate)) {
+      passwords.push(candidate);
+    } else {
+      rejected++;
+    }
+    if (passwords.length + rejected >= chunkSize) {
+      yield { passwords, rejected };
+      passwords = [];
+      rejected = 0;
+    }
+  }
+  if (passwords.length + rejected > 0) {
+    yield { passwords, rejected };
+  }
+}
+
+function* expandMask(mask, total) {
+  const step = 10_000;
+  for (let start = 0; start < total; start += step) {
+    yield* expandRange({ mask, start, end: Math.min(start + step, total) });
+  }
+}
+
+function* applyRules(rules, words) {
+  for (const word of words) {
+    if (word) {
+      yield* mutate(rules, word);
+    }
+  }
+}
+
+function requireStringArray(value, name) {
+  if (!Array.isArray(value) || value.length === 0 || !value.every((item) => typeof item === 'string')) {
+    throw new Error(`${name} must be a non-empty array of strings`);
+  }
+}
+
+/**
+ * 校验注入请求并生成执行计划
+ * @param {Object} spec - 请求 body，passwords、mask、rules + words 三选一
+ * @returns {Object} { kind, description, total, keyspace?, chunks?(chunkSize) }；chunks 逐块给出 { passwords, rejected }，
+ *   keyspace 为 { mask, total }，没有 chunks 或者该掩码已登记时整体登记为密钥空间
+ * @throws {Error} 请求无效时抛出，message 可以直接返回给调用方
+ */
+function planInjection(spec) {
+  const kinds = ['passwords', 'mask', 'rules'].filter((kind) => spec[kind] !== undefined);
+  if (kinds.length !== 1) {
+    throw new Error('exactly one of passwords, mask or rules + words is required');
+  }
+
+  if (spec.passwords !== undefined) {
+    requireStringArray(spec.passwords, 'passwords');
+    const { passwords } = spec;
+    return {
+      kind: 'passwords',
+      description: `${passwords.length} passwords`,
+      total: passwords.length,
+      chunks: (chunkSize) => toChunks(passwords, chunkSize),
+    };
+  }
+
+  if (spec.mask !== undefined) {
+    const { mask } = spec;
+    if (typeof mask !== 'string' || !mask) {
+      throw new Error('mask must be a non-empty string');
+    }
+    let total;
+    try {
+      total = keyspaceSize(mask);
+    } catch (error) {
+      throw new Error(`invalid mask: ${error.message}`);
+    }
+    if (total > EXPAND_LIMIT) {
+      return { kind: 'mask', description: mask, total, keyspace: { mask, total } };
+    }
+    return {
+      kind: 'mask',
+      description: mask,
+      total,
+      keyspace: { mask, total },
+      chunks: (chunkSize) => toChunks(expandMask(mask, total), chunkSize),
+    };
+  }
+
+  requireStringArray(spec.rules, 'rules');
+  requireStringArray(spec.words, 'words');
+  const rules = [];
+  for (const line of spec.rules) {
+    let rule;
+    try {
+      rule = parseRule(line);
+    } catch (error) {
+      throw new Error(`invalid rule: ${error.message}`);
+    }
+    if (rule) rules.push(rule);
+  }
+  if (rules.length === 0) {
+    throw new Error('rules must contain at least one rule');
+  }
+  // 规则可能生成重复的候选，这里是上限，实际数量在执行时统计
+  const total = rules.length * spec.words.length;
+  if (total > MAX_GENERATED) {
+    throw new Error(`rules x words must not exceed ${MAX_GENERATED.toLocaleString('en-US')} candidates`);
+  }
+  const { words } = spec;
+  return {
+    kind: 'rules',
+    description: `${rules.length} rules x ${words.length} words`,
+    total,
+    chunks: (chunkSize) => toChunks(applyRules(rules, words), chunkSize),
+  };
+}
+
+module.exports = {
+  EXPAND_LIMIT,
+  planInjection,
+};
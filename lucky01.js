@@ -1,5 +1,7 @@
 const path = require('path');
-const { insertToDb, closeDb } = require('./db');
+const { insertToDb, insertKeyspace, closeDb } = require('./db');
+const { escapeMask, keyspaceSize } = require('./mask');
+const { scorePassword, scoreMask } = require('./priority');
 
 const scriptName = path.basename(__filename, '.js'); // 根据脚本文件名生成数据库名 lucky01.db
 const dbName = `${scriptName}.db`;
@@ -21,6 +23,29 @@ const originPasswords = [
 ];
 
 let totalInserted = 0;
+let estimateTotal = 0;
+
+// 同一个模板出现在几个提供的密码里，出现越多越可能是常用的写法，每多一次优先级加 TEMPLATE_WEIGHT
+const TEMPLATE_WEIGHT = 10;
+
+function templateWeight(item) {
+  const pattern = item.toLowerCase().replace('*', '\\d+');
+  const count = originPasswords.filter((pwd) => new RegExp(`^${pattern}$`).test(pwd.toLowerCase())).length;
+  return Math.max(0, count - 1) * TEMPLATE_WEIGHT;
+}
+
+// 像生日的数字（YYMMDD、YYYYMMDD），提供的密码里有两个是这种写法，先于同长度的其他数字单独检查
+function* dateDigits(length, fromYear, toYear) {
+  for (let year = fromYear; year <= toYear; year++) {
+    for (let month = 1; month <= 12; month++) {
+      const days = new Date(year, month, 0).getDate();
+      for (let day = 1; day <= days; day++) {
+        const digits = `${year}${String(month).padStart(2, '0')}${String(day).padStart(2, '0')}`;
+        yield length === 6 ? digits.slice(2) : digits;
+      }
+    }
+  }
+}
 
 function main() {
   const specialItems = ['l*Zq', 'L*Zq']; // 用户提供了有个不是首字母大写的
@@ -34,48 +59,33 @@ function main() {
   console.log(items);
 
   const minDigits = 1; // 有些有3个字母，填充5个数字字符，一共8位
-  // 矿工回忆大概是9位密码，最少有2个字母，我们填充7个数字字符，一共至少9位。如果填充8位，则现有计算资源不够了
+  // 矿工回忆大概是9位密码，最少有2个字母，我们填充7个数字字符，一共至少9位。
+  // 候选密码不再逐条落库，每个模板只登记一个掩码，由客户端按索引区间展开，所以填充8位也只是几十行记录
   // 填充7位，大概需要411天
   // 填充8位，大概需要4110天
-  const maxDigits = 7;
-
-  // 先预估一下总数量
-  let estimateTotal = 0;
-  let actualTotal = 0;
-  for (let digits = minDigits; digits <= maxDigits; digits++) {
-    const minNum = 0;
-    const maxNum = parseInt('9'.repeat(digits));
-    estimateTotal += maxNum - minNum + 1;
-  }
-  estimateTotal = estimateTotal * items.length;
+  const maxDigits = 8;
 
-  let passwords = [];
   for (const item of items) {
-    console.log('\n\n开始生成', item);
-    console.time(`生成${item}耗时`);
+    const weight = templateWeight(item);
+
+    // l*zq => l?d{1}zq ... l?d{8}zq，每个数字位数登记一个掩码，按长度计分，短的先分发：zq 加2位数字先于 jay 加7位数字
     for (let digits = minDigits; digits <= maxDigits; digits++) {
-      const minNum = 0;
-      const maxNum = parseInt('9'.repeat(digits));
-      for (let num = minNum; num <= maxNum; num++) {
-        const numStr = num.toString().padStart(digits, '0');
-        const password = item.replace('*', numStr);
-        passwords.push(password);
+      const mask = escapeMask(item).replace('*', `?d{${digits}}`);
+      const priority = scoreMask(mask, { weight });
+      console.log('\n\n开始登记', mask, '优先级', priority);
+      estimateTotal += keyspaceSize(mask);
+      totalInserted += insertKeyspace(dbName, mask, priority);
+
+      // 6位和8位数字里像日期的部分另外逐条登记，日期加分后排在同长度的掩码前面，掩码之后还会再检查一遍
+      if (digits === 6 || digits === 8) {
+        const passwords = [...dateDigits(digits, 1960, 2010)].map((date) => item.replace('*', date));
+        totalInserted += insertToDb(dbName, passwords, { showProgress: false, priority: (pwd) => scorePassword(pwd, { weight }) });
       }
     }
-    actualTotal += passwords.length;
-    console.timeEnd(`生成${item}耗时`);
-
-    console.time(`插入${passwords.length}条密码到数据库耗时`);
-    const inserted = insertToDb(dbName, passwords);
-    totalInserted += inserted;
-    console.timeEnd(`插入${passwords.length}条密码到数据库耗时`);
-
-    passwords = [];
   }
 
   console.log('\n预估总数量', estimateTotal, '条密码');
-  console.log('实际总计生成', actualTotal, '条密码');
-  console.log('实际插入到数据库', totalInserted, '条密码记录');
+  console.log('实际登记到数据库', totalInserted, '条密码（密钥空间加逐条登记的日期）');
 
   // 关闭数据库连接
   closeDb(dbName);
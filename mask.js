@@ -0,0 +1,246 @@
+// 掩码语法（与 hashcat 类似）：
+//   ?l 小写字母  ?u 大写字母  ?d 数字  ?s 符号  ?a 以上全部  ?h 小写十六进制  ?H 大写十六进制
+//   [abc] [a-z0-9] 自定义字符集，\] \- \\ 表示字面字符
+//   ?? ?[ ?{ 表示字面的 ? [ {，其余字符都是字面量
+//   紧跟在占位符或字符集后的 {n} {m,n} 表示可变长度，短的先枚举，例如 ljy?d{1,8}zq
+// 候选密码按最后一个位置变化最快的顺序编号，可以直接计算第 N 个候选
+
+const CHARSETS = {
+  l: 'abcdefghijklmnopqrstuvwxyz',
+  u: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+  d: '0123456789',
+  s: ' !"#$%&\'()*+,-./:;<=>?@[\\]^_`{|}~',
+  h: '0123456789abcdef',
+  H: '0123456789ABCDEF',
+};
+CHARSETS.a = CHARSETS.l + CHARSETS.u + CHARSETS.d + CHARSETS.s;
+
+const LITERAL_ESCAPES = new Set(['?', '[', '{']);
+
+// 编译结果缓存，服务端和客户端会反复展开同一个掩码
+const compiledMasks = new Map();
+
+function parseClass(mask, start) {
+  let chars = '';
+  let i = start;
+  while (i < mask.length && mask[i] !== ']') {
+    let ch = mask[i];
+    if (ch === '\\' && i + 1 < mask.length) {
+      ch = mask[++i];
+    }
+    if (mask[i + 1] === '-' && i + 2 < mask.length && mask[i + 2] !== ']') {
+      let end = mask[i + 2];
+      let next = i + 3;
+      if (end === '\\' && i + 3 < mask.length) {
+        end = mask[i + 3];
+        next = i + 4;
+      }
+      if (end.charCodeAt(0) < ch.charCodeAt(0)) {
+        throw new Error(`掩码字符集范围无效: ${ch}-${end}`);
+      }
+      for (let code = ch.charCodeAt(0); code <= end.charCodeAt(0); code++) {
+        chars += String.fromCharCode(code);
+      }
+      i = next;
+      continue;
+    }
+    chars += ch;
+    i++;
+  }
+
+  if (i >= mask.length) {
+    throw new Error(`掩码字符集缺少 ]: ${mask}`);
+  }
+  if (!chars) {
+    throw new Error(`掩码字符集不能为空: ${mask}`);
+  }
+
+  return { charset: [...new Set(chars)].join(''), end: i + 1 };
+}
+
+function parseLength(mask, start) {
+  const close = mask.indexOf('}', start);
+  if (close < 0) {
+    throw new Error(`掩码长度缺少 }: ${mask}`);
+  }
+
+  const match = /^(\d+)(?:,(\d+))?$/.exec(mask.slice(start + 1, close));
+  if (!match) {
+    throw new Error(`掩码长度格式无效: ${mask.slice(start, close + 1)}`);
+  }
+
+  const min = Number(match[1]);
+  const max = match[2] === undefined ? min : Number(match[2]);
+  if (max < min || max === 0) {
+    throw new Error(`掩码长度范围无效: ${mask.slice(start, close + 1)}`);
+  }
+
+  return { min, max, end: close + 1 };
+}
+
+/**
+ * 把掩码解析为段落列表，每段是一个字符集加长度范围
+ * @param {string} mask - 掩码
+ * @returns {{charset: string, min: number, max: number}[]} 段落列表
+ */
+function parseMask(mask) {
+  if (typeof mask !== 'string' || !mask) {
+    throw new Error('掩码必须是非空字符串');
+  }
+
+  const segments = [];
+  let i = 0;
+  while (i < mask.length) {
+    let charset;
+    let variable = true;
+
+    if (mask[i] === '?') {
+      const key = mask[i + 1];
+      if (LITERAL_ESCAPES.has(key)) {
+        charset = key;
+        variable = false;
+      } else if (key && CHARSETS[key]) {
+        charset = CHARSETS[key];
+      } else {
+        throw new Error(`未知的掩码占位符: ?${key || ''}`);
+      }
+      i += 2;
+    } else if (mask[i] === '[') {
+      const parsed = parseClass(mask, i + 1);
+      charset = parsed.charset;
+      i = parsed.end;
+    } else {
+      charset = mask[i];
+      variable = false;
+      i++;
+    }
+
+    let min = 1;
+    let max = 1;
+    if (variable && mask[i] === '{') {
+      const parsed = parseLength(mask, i);
+      min = parsed.min;
+      max = parsed.max;
+      i = parsed.end;
+    }
+
+    segments.push({ charset, min, max });
+  }
+
+  return segments;
+}
+
+function segmentSize({ charset, min, max }) {
+  let size = 0;
+  for (let len = min; len <= max; len++) {
+    size += charset.length ** len;
+  }
+  return size;
+}
+
+function segmentAt({ charset, min, max }, index) {
+  let len = min;
+  let bucket = charset.length ** len;
+  while (index >= bucket && len < max) {
+    index -= bucket;
+    len++;
+    bucket = charset.length ** len;
+  }
+
+  const chars = new Array(len);
+  for (let pos = len - 1; pos >= 0; pos--) {
+    chars[pos] = charset[index % charset.length];
+    index = Math.floor(index / charset.length);
+  }
+  return chars.join('');
+}
+
+/**
+ * 编译掩码，返回可按索引取候选密码的对象
+ * @param {string} mask - 掩码
+ * @returns {{mask: string, size: number, at: function(number): string}} 编译后的掩码
+ */
+function compileMask(mask) {
+  if (compiledMasks.has(mask)) {
+    return compiledMasks.get(mask);
+  }
+
+  const segments = parseMask(mask);
+  const sizes = segments.map(segmentSize);
+  const size = sizes.reduce((total, n) => total * n, 1);
+  if (!Number.isSafeInteger(size)) {
+    throw new Error(`掩码的候选数量超出可索引范围: ${mask}`);
+  }
+
+  const at = (index) => {
+    if (!Number.isInteger(index) || index < 0 || index >= size) {
+      throw new Error(`候选索引越界: ${index}，掩码 ${mask} 共 ${size} 个候选`);
+    }
+
+    const parts = new Array(segments.length);
+    for (let s = segments.length - 1; s >= 0; s--) {
+      parts[s] = segmentAt(segments[s], index % sizes[s]);
+      index = Math.floor(index / sizes[s]);
+    }
+    return parts.join('');
+  };
+
+  const compiled = { mask, size, at };
+  compiledMasks.set(mask, compiled);
+  return compiled;
+}
+
+/**
+ * 计算掩码的候选密码数量
+ * @param {string} mask - 掩码
+ * @returns {number} 候选密码数量
+ */
+function keyspaceSize(mask) {
+  return compileMask(mask).size;
+}
+
+/**
+ * 直接生成掩码的第 index 个候选密码，无需枚举前面的候选
+ * @param {string} mask - 掩码
+ * @param {number} index - 候选密码索引，从0开始
+ * @returns {string} 候选密码
+ */
+function candidateAt(mask, index) {
+  return compileMask(mask).at(index);
+}
+
+/**
+ * 展开一个索引区间 [start, end) 内的全部候选密码
+ * @param {Object} range - 区间描述
+ * @param {string} range.mask - 掩码
+ * @param {number} range.start - 起始索引（包含）
+ * @param {number} range.end - 结束索引（不包含）
+ * @returns {string[]} 候选密码数组
+ */
+function expandRange({ mask, start, end }) {
+  const { at } = compileMask(mask);
+  const passwords = [];
+  for (let index = start; index < end; index++) {
+    passwords.push(at(index));
+  }
+  return passwords;
+}
+
+/**
+ * 把普通字符串转义为只匹配它自身的掩码
+ * @param {string} literal - 字面字符串
+ * @returns {string} 掩码
+ */
+function escapeMask(literal) {
+  return literal.replace(/[?[{]/g, (ch) => `?${ch}`);
+}
+
+module.exports = {
+  CHARSETS,
+  parseMask,
+  compileMask,
+  keyspaceSize,
+  candidateAt,
+  expandRange,
+  escapeMask,
+};
@@ -0,0 +1,102 @@
+// Prometheus 文本格式（0.0.4）的最小实现，不引入 prom-client
+// counter 和 gauge 在抓取时通过 collect() 取值，返回一个数字或 [{ labels, value }]，返回 null 表示暂无数据
+// histogram 由调用方 observe()，桶边界在创建时固定
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels || {});
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (Number.isNaN(value)) return 'NaN';
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+function toSamples(name, result) {
+  if (result === null || result === undefined) {
+    return [];
+  }
+  if (!Array.isArray(result)) {
+    return [{ name, labels: {}, value: Number(result) }];
+  }
+  return result.map(({ labels, value }) => ({ name, labels, value: Number(value) }));
+}
+
+/**
+ * 创建一个指标注册表
+ * @returns {Object} { counter, gauge, histogram, render }
+ */
+function createRegistry() {
+  const metrics = [];
+
+  function register(type, name, help, collect) {
+    metrics.push({ type, name, help, samples: () => toSamples(name, collect()) });
+  }
+
+  /**
+   * 注册一个直方图
+   * @param {string} name - 指标名
+   * @param {string} help - 说明
+   * @param {number[]} buckets - 升序的桶上界，+Inf 自动添加
+   * @returns {{observe: function(number)}} 直方图
+   */
+  function histogram(name, help, buckets) {
+    const bucketCounts = buckets.map(() => 0);
+    let sum = 0;
+    let count = 0;
+
+    metrics.push({
+      type: 'histogram',
+      name,
+      help,
+      samples: () => [
+        ...buckets.map((bound, index) => ({ name: `${name}_bucket`, labels: { le: formatValue(bound) }, value: bucketCounts[index] })),
+        { name: `${name}_bucket`, labels: { le: '+Inf' }, value: count },
+        { name: `${name}_sum`, labels: {}, value: sum },
+        { name: `${name}_count`, labels: {}, value: count },
+      ],
+    });
+
+    return {
+      observe(value) {
+        buckets.forEach((bound, index) => {
+          if (value <= bound) bucketCounts[index] += 1;
+        });
+        sum += value;
+        count += 1;
+      },
+    };
+  }
+
+  // 输出全部指标，每次抓取时调用
+  function render() {
+    const lines = [];
+    for (const metric of metrics) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+      for (const sample of metric.samples()) {
+        lines.push(`${sample.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  return {
+    counter: (name, help, collect) => register('counter', name, help, collect),
+    gauge: (name, help, collect) => register('gauge', name, help, collect),
+    histogram,
+    render,
+  };
+}
+
+module.exports = {
+  createRegistry,
+};
@@ -0,0 +1,332 @@
+const os = require('os');
+const net = require('net');
+const tls = require('tls');
+const http = require('http');
+
+// 通知发送：webhook（通用 JSON、Slack、钉钉/企业微信机器人）和可选的 SMTP 邮件
+// 目标配置：
+//   NOTIFY_WEBHOOKS  逗号分隔，每项为 [格式:]URL，格式为 json（默认）、slack、dingtalk
+//   SMTP_URL         smtp://用户:密码@主机:587（支持 STARTTLS）或 smtps://用户:密码@主机:465
+//                    配合 NOTIFY_EMAIL_FROM 和 NOTIFY_EMAIL_TO（逗号分隔）
+// 每个目标独立投递，失败后按指数退避重试，每次尝试都通过 onDelivery 回调记录
+
+const EVENTS = {
+  PASSWORD_FOUND: 'password_found',
+  QUEUE_EXHAUSTED: 'queue_exhausted',
+  NO_ACTIVE_CLIENTS: 'no_active_clients',
+  CLIENT_SILENT: 'client_silent',
+  TEST: 'test',
+};
+
+const WEBHOOK_FORMATS = ['json', 'slack', 'dingtalk'];
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const MAX_RETRY_DELAY_MS = 10 * 60 * 1000;
+
+/**
+ * 解析通知目标配置
+ * @param {Object} config - 配置项
+ * @param {string} config.webhooks - NOTIFY_WEBHOOKS
+ * @param {string} config.smtpUrl - SMTP_URL
+ * @param {string} config.emailFrom - 发件人
+ * @param {string} config.emailTo - 收件人，逗号分隔
+ * @returns {Array<Object>} 通知目标列表
+ */
+function parseTargets({ webhooks, smtpUrl, emailFrom, emailTo } = {}) {
+  const targets = [];
+
+  for (const entry of (webhooks || '').split(',').map((item) => item.trim())) {
+    if (!entry) continue;
+
+    const match = /^(\w+):(https?:\/\/.+)$/.exec(entry);
+    const format = match ? match[1] : 'json';
+    const url = match ? match[2] : entry;
+    if (!WEBHOOK_FORMATS.includes(format)) {
+      throw new Error(`不支持的 webhook 格式: ${format}，可选 ${WEBHOOK_FORMATS.join(', ')}`);
+    }
+    // URL 里常带有机器人 token，日志中只显示格式和主机名
+    targets.push({ kind: 'webhook', format, url: new URL(url).href, name: `${format}:${new URL(url).host}` });
+  }
+
+  if (smtpUrl) {
+    const recipients = (emailTo || '')
+      .split(',')
+      .map((item) => item.trim())
+      .filter(Boolean);
+    if (!emailFrom || recipients.length === 0) {
+      throw new Error('配置了 SMTP_URL 时需要同时配置 NOTIFY_EMAIL_FROM 和 NOTIFY_EMAIL_TO');
+    }
+    targets.push({ kind: 'email', smtpUrl, from: emailFrom, to: recipients, name: `email:${recipients.join(',')}` });
+  }
+
+  return targets;
+}
+
+function webhookPayload(format, notification) {
+  const text = `${notification.title}\n${notification.message}`;
+  if (format === 'slack') {
+    return { text: `*${notification.title}*\n${notification.message}` };
+  }
+  if (format === 'dingtalk') {
+    return { msgtype: 'text', text: { content: text } };
+  }
+  return notification;
+}
+
+async function sendWebhook(target, notification) {
+  const response = await fetch(target.url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(webhookPayload(target.format, notification)),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  // 钉钉和企业微信出错时也返回 200，错误码在 errcode 里
+  if (target.format === 'dingtalk') {
+    const body = await response.json().catch(() => ({}));
+    if (body.errcode) {
+      throw new Error(`errcode ${body.errcode}: ${body.errmsg}`);
+    }
+  }
+}
+
+// 逐行读取 SMTP 响应，多行响应（250-xxx）合并后作为一条返回
+class SmtpConnection {
+  constructor(socket) {
+    this.responses = [];
+    this.waiters = [];
+    this.error = null;
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    this.buffer = '';
+    this.lines = [];
+    socket.setEncoding('utf8');
+    socket.setTimeout(REQUEST_TIMEOUT_MS, () => socket.destroy(new Error('SMTP 响应超时')));
+    socket.on('data', (chunk) => this.onData(chunk));
+    socket.on('error', (error) => this.fail(error));
+    socket.on('close', () => this.fail(new Error('SMTP 连接已关闭')));
+  }
+
+  onData(chunk) {
+    this.buffer += chunk;
+    let index;
+    while ((index = this.buffer.indexOf('\n')) >= 0) {
+      const line = this.buffer.slice(0, index).replace(/\r$/, '');
+      this.buffer = this.buffer.slice(index + 1);
+      this.lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const response = { code: Number(line.slice(0, 3)), text: this.lines.join('\n') };
+        this.lines = [];
+        const waiter = this.waiters.shift();
+        if (waiter) {
+          waiter.resolve(response);
+        } else {
+          this.responses.push(response);
+        }
+      }
+    }
+  }
+
+  fail(error) {
+    this.error = this.error || error;
+    for (const waiter of this.waiters.splice(0)) {
+      waiter.reject(this.error);
+    }
+  }
+
+  read() {
+    if (this.responses.length > 0) {
+      return Promise.resolve(this.responses.shift());
+    }
+    if (this.error) {
+      return Promise.reject(this.error);
+    }
+    return new Promise((resolve, reject) => this.waiters.push({ resolve, reject }));
+  }
+
+  // 发送一条命令（null 表示只读取服务器问候），响应码的首位必须等于 expected
+  async command(line, expected, label = line && line.split(' ')[0]) {
+    if (line !== null) {
+      this.socket.write(`${line}\r\n`);
+    }
+    const response = await this.read();
+    if (Math.floor(response.code / 100) !== expected) {
+      throw new Error(`SMTP ${label || 'greeting'} 失败: ${response.text}`);
+    }
+    return response;
+  }
+
+  upgrade(host) {
+    const socket = this.socket;
+    socket.removeAllListeners();
+    socket.setTimeout(0);
+    return new Promise((resolve, reject) => {
+      const secure = tls.connect({ socket, servername: host }, () => {
+        secure.removeListener('error', reject);
+        this.attach(secure);
+        resolve();
+      });
+      secure.once('error', reject);
+    });
+  }
+}
+
+function connectSmtp(host, port, secure) {
+  return new Promise((resolve, reject) => {
+    const socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+    socket.once(secure ? 'secureConnect' : 'connect', () => {
+      socket.removeListener('error', reject);
+      resolve(socket);
+    });
+    socket.once('error', reject);
+    socket.setTimeout(REQUEST_TIMEOUT_MS, () => socket.destroy(new Error('SMTP 连接超时')));
+  });
+}
+
+function encodeHeader(text) {
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * 通过 SMTP 发送一封纯文本邮件
+ * @param {string} smtpUrl - smtp:// 或 smtps:// 地址，用户名密码写在 URL 里
+ * @param {Object} message - { from, to: string[], subject, text }
+ */
+async function sendMail(smtpUrl, { from, to, subject, text }) {
+  const url = new URL(smtpUrl);
+  const secure = url.protocol === 'smtps:';
+  const port = Number(url.port) || (secure ? 465 : 587);
+  const smtp = new SmtpConnection(await connectSmtp(url.hostname, port, secure));
+
+  try {
+    await smtp.command(null, 2);
+    const ehlo = await smtp.command(`EHLO ${os.hostname()}`, 2);
+    if (!secure && /STARTTLS/i.test(ehlo.text)) {
+      await smtp.command('STARTTLS', 2);
+      await smtp.upgrade(url.hostname);
+      await smtp.command(`EHLO ${os.hostname()}`, 2);
+    }
+    if (url.username) {
+      const credentials = Buffer.from(`\0${decodeURIComponent(url.username)}\0${decodeURIComponent(url.password)}`).toString('base64');
+      await smtp.command(`AUTH PLAIN ${credentials}`, 2, 'AUTH');
+    }
+
+    await smtp.command(`MAIL FROM:<${from}>`, 2);
+    for (const recipient of to) {
+      await smtp.command(`RCPT TO:<${recipient}>`, 2);
+    }
+    await smtp.command('DATA', 3);
+
+    // 正文用 base64 编码，不会出现需要转义的行首 "."
+    const body = Buffer.from(text, 'utf8')
+      .toString('base64')
+      .replace(/.{1,76}/g, '$&\r\n');
+    const headers = [
+      `From: ${from}`,
+      `To: ${to.join(', ')}`,
+      `Subject: ${encodeHeader(subject)}`,
+      `Date: ${new Date().toUTCString()}`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: base64',
+    ];
+    await smtp.command(`${headers.join('\r\n')}\r\n\r\n${body}.`, 2, 'DATA');
+    await smtp.command('QUIT', 2);
+  } finally {
+    smtp.socket.destroy();
+  }
+}
+
+function send(target, notification) {
+  if (target.kind === 'email') {
+    return sendMail(target.smtpUrl, {
+      from: target.from,
+      to: target.to,
+      subject: notification.title,
+      text: `${notification.message}\n\n${JSON.stringify(notification.data, null, 2)}\n\n${notification.server} ${notification.time}\n`,
+    });
+  }
+  return sendWebhook(target, notification);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms).unref());
+}
+
+/**
+ * 创建通知器
+ * @param {Object} options - 配置项
+ * @param {Array<Object>} options.targets - parseTargets 返回的目标列表
+ * @param {number} options.retries - 失败后的重试次数，默认5
+ * @param {number} options.retryDelayMs - 第一次重试前的等待时间，之后每次翻倍，默认5秒
+ * @param {function(Object)} options.onDelivery - 每次投递尝试后调用，参数含 event、target、attempt、status、error
+ * @returns {{targets: Array<Object>, notify: function(string, string, string, Object): Promise<boolean[]>}} 通知器
+ */
+function createNotifier({ targets, retries = 5, retryDelayMs = 5000, onDelivery = () => {} }) {
+  async function deliver(target, notification) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await send(target, notification);
+        onDelivery({ event: notification.event, target: target.name, attempt, status: 'delivered' });
+        return true;
+      } catch (error) {
+        const final = attempt > retries;
+        onDelivery({ event: notification.event, target: target.name, attempt, status: final ? 'failed' : 'retrying', error: error.message });
+        if (final) {
+          return false;
+        }
+        await sleep(Math.min(retryDelayMs * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS));
+      }
+    }
+  }
+
+  // 各目标并行投递，返回的 Promise 在全部成功或放弃后完成
+  function notify(event, title, message, data = {}) {
+    const notification = { event, title, message, data, time: new Date().toISOString(), server: os.hostname() };
+    return Promise.all(targets.map((target) => deliver(target, notification)));
+  }
+
+  return { targets, notify };
+}
+
+// node notify.js receive [--port 4000] [--fail N]
+// 本地测试用的 webhook 接收端，打印收到的内容；--fail N 让前 N 个请求返回 500 以验证重试
+function receive(port, failCount) {
+  let received = 0;
+  http
+    .createServer((request, response) => {
+      let body = '';
+      request.on('data', (chunk) => (body += chunk));
+      request.on('end', () => {
+        received += 1;
+        const status = received <= failCount ? 500 : 200;
+        console.log(`[${new Date().toISOString()}] #${received} ${request.method} ${request.url} -> ${status}\n${body}`);
+        response.writeHead(status, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify({ ok: status === 200 }));
+      });
+    })
+    .listen(port, () => console.log(`webhook 测试接收端监听 http://localhost:${port}/`));
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => (args.includes(name) ? Number(args[args.indexOf(name) + 1]) : fallback);
+  if (args[0] === 'receive') {
+    receive(option('--port', 4000), option('--fail', 0));
+  } else {
+    console.log('用法: node notify.js receive [--port 4000] [--fail N]');
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  EVENTS,
+  parseTargets,
+  createNotifier,
+  sendMail,
+};
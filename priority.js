@@ -0,0 +1,164 @@
+const { parseMask } = require('./mask');
+
+// 分发顺序：priority 大的先分发，相同时逐条记录先于密钥空间、先登记的先分发
+const PRIORITY = {
+  DEFAULT: 0,
+  INJECTED: 1000, // 运行时注入的候选默认插到队首
+};
+
+// 候选密码的默认优先级分数，数值大的先分发
+//   长度：越短分数越高，每少一个字符加 LENGTH_STEP
+//   日期：数字串像 YYYYMMDD、YYMMDD 加 DATE_BONUS，像年份（1950-2039）或 MMDD 加 PARTIAL_DATE_BONUS
+//   基础单词：生成器按基础单词给出的权重直接加到分数上
+// 分数不超过 MAX_SCORE，运行时注入的候选（PRIORITY.INJECTED）总是排在前面
+
+const MAX_SCORED_LENGTH = 32;
+const LENGTH_STEP = 10;
+const DATE_BONUS = 50;
+const PARTIAL_DATE_BONUS = 20;
+const MAX_SCORE = PRIORITY.INJECTED - 1;
+
+const DAYS_IN_MONTH = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+function isMonthDay(digits) {
+  const month = Number(digits.slice(0, 2));
+  const day = Number(digits.slice(2, 4));
+  return month >= 1 && month <= 12 && day >= 1 && day <= DAYS_IN_MONTH[month - 1];
+}
+
+// 一段连续数字的日期加分
+function digitRunScore(digits) {
+  if (digits.length === 8) {
+    const year = Number(digits.slice(0, 4));
+    if (year >= 1900 && year <= 2099 && isMonthDay(digits.slice(4))) return DATE_BONUS;
+  }
+  if (digits.length === 6 && isMonthDay(digits.slice(2))) {
+    return DATE_BONUS;
+  }
+  if (digits.length === 4) {
+    const year = Number(digits);
+    if ((year >= 1950 && year <= 2039) || isMonthDay(digits)) return PARTIAL_DATE_BONUS;
+  }
+  return 0;
+}
+
+function dateScore(password) {
+  let score = 0;
+  for (const [digits] of password.matchAll(/\d+/g)) {
+    score = Math.max(score, digitRunScore(digits));
+  }
+  return score;
+}
+
+function lengthScore(length) {
+  return (MAX_SCORED_LENGTH - Math.min(length, MAX_SCORED_LENGTH)) * LENGTH_STEP;
+}
+
+function clampScore(score) {
+  return Math.min(MAX_SCORE, Math.round(score));
+}
+
+/**
+ * 计算一个候选密码的默认优先级
+ * @param {string} password - 候选密码
+ * @param {Object} options - 可选配置
+ * @param {number} options.weight - 基础单词的权重，直接加到分数上，默认0
+ * @returns {number} 优先级，不超过 MAX_SCORE
+ */
+function scorePassword(password, { weight = 0 } = {}) {
+  return clampScore(lengthScore(password.length) + dateScore(password) + weight);
+}
+
+/**
+ * 计算一个掩码（密钥空间）的默认优先级，按最短候选的长度计分，数字占位符无法判断是否像日期
+ * @param {string} mask - 掩码
+ * @param {Object} options - 可选配置
+ * @param {number} options.weight - 基础单词的权重，默认0
+ * @returns {number} 优先级，不超过 MAX_SCORE
+ */
+function scoreMask(mask, { weight = 0 } = {}) {
+  const minLength = parseMask(mask).reduce((length, segment) => length + segment.min, 0);
+  return clampScore(lengthScore(minLength) + weight);
+}
+
+// 掩码里的固定字符，占位符处用 \0 隔开，避免单词跨过占位符匹配
+function maskLiterals(mask) {
+  return parseMask(mask)
+    .map(({ charset, min, max }) => (charset.length === 1 && min === 1 && max === 1 ? charset : '\0'))
+    .join('');
+}
+
+/**
+ * 按基础单词权重创建评分函数：候选包含多个单词时取最大的权重，不区分大小写
+ * @param {Object<string, number>} weights - 基础单词到权重的映射，可以为空
+ * @returns {{password: function(string): number, mask: function(string): number}} 评分函数
+ */
+function createScorer(weights = {}) {
+  const entries = Object.entries(weights).map(([word, weight]) => [word.toLowerCase(), weight]);
+  const weightOf = (text) => {
+    const lower = text.toLowerCase();
+    const matched = entries.filter(([word]) => lower.includes(word)).map(([, value]) => value);
+    return matched.length > 0 ? Math.max(...matched) : 0;
+  };
+
+  return {
+    password: (password) => scorePassword(password, { weight: weightOf(password) }),
+    mask: (mask) => scoreMask(mask, { weight: weightOf(maskLiterals(mask)) }),
+  };
+}
+
+// 通配符只支持 * 和 ?，区分大小写，整串匹配
+function globToRegExp(pattern) {
+  const source = pattern.replace(/[.+^${}()|[\]\\*?]/g, (ch) => (ch === '*' ? '.*' : ch === '?' ? '.' : `\\${ch}`));
+  return new RegExp(`^${source}$`, 's');
+}
+
+/**
+ * 校验重新排序请求并生成执行计划
+ * @param {Object} spec - 请求 body：{ weights } 按默认规则重新计分（可以是空对象）；{ pattern, priority } 把匹配的候选设为指定优先级
+ * @returns {Object} { kind: 'rerank', description, warning?, password(pwd, priority), mask(mask, priority) }，两个函数返回新的优先级
+ * @throws {Error} 请求无效时抛出，message 可以直接返回给调用方
+ */
+function planRerank(spec) {
+  if (spec.pattern !== undefined) {
+    const { pattern, priority } = spec;
+    if (typeof pattern !== 'string' || !pattern) {
+      throw new Error('pattern must be a non-empty string');
+    }
+    if (!Number.isInteger(priority)) {
+      throw new Error('priority must be an integer');
+    }
+    const regex = globToRegExp(pattern);
+    const apply = (text, current) => (regex.test(text) ? priority : current);
+    return { kind: 'rerank', description: `${pattern} -> ${priority}`, password: apply, mask: apply };
+  }
+
+  // 生成时给出的单词权重没有保存，重新计分会用 weights 整体替换，所以必须明确给出要保留的单词
+  const { weights } = spec;
+  if (weights === undefined) {
+    throw new Error('weights or pattern + priority is required');
+  }
+  if (typeof weights !== 'object' || weights === null || Array.isArray(weights) || !Object.values(weights).every(Number.isFinite)) {
+    throw new Error('weights must be an object mapping base words to numbers');
+  }
+  // 重新计分不改动运行时注入的候选，它们仍排在前面
+  const scorer = createScorer(weights);
+  const keepInjected = (score) => (text, current) => (current >= PRIORITY.INJECTED ? current : score(text));
+  const words = Object.keys(weights).length;
+  return {
+    kind: 'rerank',
+    description: words > 0 ? `rescore with ${words} weighted words` : 'rescore without word weights',
+    warning: 'base-word weights given by generators at write time are discarded, only the weights in this request apply',
+    password: keepInjected(scorer.password),
+    mask: keepInjected(scorer.mask),
+  };
+}
+
+module.exports = {
+  PRIORITY,
+  MAX_SCORE,
+  scorePassword,
+  scoreMask,
+  createScorer,
+  planRerank,
+};
@@ -0,0 +1,225 @@
+const fs = require('fs');
+const readline = require('readline');
+const { insertToDb, closeDb } = require('./db');
+const { scorePassword } = require('./priority');
+
+// 规则语法（hashcat 规则的子集），一行一条规则，多个操作从左到右依次执行，# 开头为注释
+// 操作之间的空格忽略，参数按位置读取，"$ " 和 "^ " 的参数就是空格，所以行尾的空格不能删
+// 位置 N 用 0-9 A-Z 表示 0-35，超出单词长度时该操作不生效
+//
+//   :      原样输出              l      全部小写             u      全部大写
+//   c      首字母大写其余小写    C      首字母小写其余大写   t      切换全部大小写
+//   TN     切换位置 N 的大小写   r      反转                 d      重复一遍
+//   pN     追加 N 次自身         f      追加反转后的自身
+//   $X     末尾追加字符 X        ^X     开头插入字符 X
+//   [      删除首字符            ]      删除末字符           DN     删除位置 N 的字符
+//   iNX    在位置 N 插入字符 X   oNX    把位置 N 的字符改为 X
+//   'N     截断为前 N 个字符     xNM    从位置 N 取 M 个字符
+//   sXY    把所有 X 替换为 Y（常用于 leetspeak，例如 sa4 se3 so0）
+//   @X     删除所有字符 X
+
+const POSITIONS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+function toggleCase(ch) {
+  const lower = ch.toLowerCase();
+  return ch === lower ? ch.toUpperCase() : lower;
+}
+
+// 每个操作的参数类型：n 表示位置，c 表示字符
+const OPERATIONS = {
+  ':': { args: '', apply: (w) => w },
+  l: { args: '', apply: (w) => w.toLowerCase() },
+  u: { args: '', apply: (w) => w.toUpperCase() },
+  c: { args: '', apply: (w) => w.charAt(0).toUpperCase() + w.slice(1).toLowerCase() },
+  C: { args: '', apply: (w) => w.charAt(0).toLowerCase() + w.slice(1).toUpperCase() },
+  t: { args: '', apply: (w) => [...w].map(toggleCase).join('') },
+  T: { args: 'n', apply: (w, n) => (n < w.length ? w.slice(0, n) + toggleCase(w[n]) + w.slice(n + 1) : w) },
+  r: { args: '', apply: (w) => [...w].reverse().join('') },
+  d: { args: '', apply: (w) => w + w },
+  p: { args: 'n', apply: (w, n) => w.repeat(n + 1) },
+  f: { args: '', apply: (w) => w + [...w].reverse().join('') },
+  $: { args: 'c', apply: (w, x) => w + x },
+  '^': { args: 'c', apply: (w, x) => x + w },
+  '[': { args: '', apply: (w) => w.slice(1) },
+  ']': { args: '', apply: (w) => w.slice(0, -1) },
+  D: { args: 'n', apply: (w, n) => (n < w.length ? w.slice(0, n) + w.slice(n + 1) : w) },
+  i: { args: 'nc', apply: (w, n, x) => (n <= w.length ? w.slice(0, n) + x + w.slice(n) : w) },
+  o: { args: 'nc', apply: (w, n, x) => (n < w.length ? w.slice(0, n) + x + w.slice(n + 1) : w) },
+  "'": { args: 'n', apply: (w, n) => w.slice(0, n) },
+  x: { args: 'nn', apply: (w, n, m) => (n < w.length ? w.substr(n, m) : w) },
+  s: { args: 'cc', apply: (w, x, y) => w.split(x).join(y) },
+  '@': { args: 'c', apply: (w, x) => w.split(x).join('') },
+};
+
+/**
+ * 解析一条规则
+ * @param {string} line - 规则文本，例如 c $1 $2 sa4
+ * @returns {{name: string, args: Array<number|string>}[]} 操作列表，注释或空行返回 null
+ */
+function parseRule(line) {
+  if (!line.trim() || line.trimStart().startsWith('#')) {
+    return null;
+  }
+
+  const ops = [];
+  let i = 0;
+  while (i < line.length) {
+    const name = line[i++];
+    if (name === ' ' || name === '\t') continue;
+
+    const op = OPERATIONS[name];
+    if (!op) {
+      throw new Error(`未知的规则操作: ${name}（规则 ${line}）`);
+    }
+
+    const args = [];
+    for (const type of op.args) {
+      if (i >= line.length) {
+        throw new Error(`规则操作 ${name} 缺少参数（规则 ${line}）`);
+      }
+      const ch = line[i++];
+      if (type === 'n') {
+        const n = POSITIONS.indexOf(ch);
+        if (n < 0) {
+          throw new Error(`规则操作 ${name} 的位置参数无效: ${ch}（规则 ${line}）`);
+        }
+        args.push(n);
+      } else {
+        args.push(ch);
+      }
+    }
+    ops.push({ name, args });
+  }
+
+  return ops;
+}
+
+/**
+ * 对单词执行一条已解析的规则
+ * @param {{name: string, args: Array<number|string>}[]} rule - parseRule 的结果
+ * @param {string} word - 基础单词
+ * @returns {string} 变换后的单词
+ */
+function applyRule(rule, word) {
+  let result = word;
+  for (const { name, args } of rule) {
+    result = OPERATIONS[name].apply(result, ...args);
+  }
+  return result;
+}
+
+/**
+ * 读取规则文件
+ * @param {string} file - 规则文件路径
+ * @returns {Array} 已解析的规则列表
+ */
+function loadRules(file) {
+  const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+  const rules = [];
+  lines.forEach((line, index) => {
+    try {
+      const rule = parseRule(line);
+      if (rule) rules.push(rule);
+    } catch (error) {
+      throw new Error(`${file}:${index + 1} ${error.message}`);
+    }
+  });
+  return rules;
+}
+
+/**
+ * 对单词执行全部规则，返回去重后的候选
+ * @param {Array} rules - 已解析的规则列表
+ * @param {string} word - 基础单词
+ * @returns {string[]} 候选密码
+ */
+function mutate(rules, word) {
+  const candidates = new Set();
+  for (const rule of rules) {
+    const candidate = applyRule(rule, word);
+    if (candidate) candidates.add(candidate);
+  }
+  return [...candidates];
+}
+
+/**
+ * 逐行读取字典，执行规则后分批写入数据库
+ * 字典行可以用 Tab 分隔附带基础单词的权重，例如 "ljy\t100"，权重加到候选的默认优先级上（见 priority.js）
+ * @param {string} dbName - 数据库文件名
+ * @param {Array} rules - 已解析的规则列表
+ * @param {string} wordlist - 字典文件路径
+ * @param {Object} options - 可选配置
+ * @param {number} options.batchSize - 每批写入的候选数量，默认100000
+ * @returns {Promise<{words: number, generated: number, inserted: number}>} 统计结果
+ */
+async function applyRulesToDb(dbName, rules, wordlist, options = {}) {
+  const { batchSize = 100_000 } = options;
+  const stats = { words: 0, generated: 0, inserted: 0 };
+  let batch = new Map(); // 候选 -> 优先级，同一批里重复的候选取较高的优先级
+
+  const flush = () => {
+    if (batch.size === 0) return;
+    stats.inserted += insertToDb(dbName, [...batch.keys()], { showProgress: false, priority: (pwd) => batch.get(pwd) });
+    batch = new Map();
+  };
+
+  const input = readline.createInterface({ input: fs.createReadStream(wordlist), crlfDelay: Infinity });
+  for await (const line of input) {
+    // 单词原样保留，首尾的空格也是密码的一部分
+    const [word, weightText] = line.split('\t');
+    if (!word) continue;
+    const weight = Number(weightText) || 0;
+
+    stats.words++;
+    const candidates = mutate(rules, word);
+    stats.generated += candidates.length;
+    for (const candidate of candidates) {
+      const priority = scorePassword(candidate, { weight });
+      batch.set(candidate, Math.max(priority, batch.get(candidate) ?? priority));
+    }
+    if (batch.size >= batchSize) {
+      flush();
+      console.log(`已处理 ${stats.words.toLocaleString()} 个单词，生成 ${stats.generated.toLocaleString()} 条，成功插入 ${stats.inserted.toLocaleString()} 条`);
+    }
+  }
+  flush();
+
+  return stats;
+}
+
+async function main() {
+  const [rulesFile, wordlist, dbName] = process.argv.slice(2);
+  if (!rulesFile || !wordlist || !dbName) {
+    console.log('用法: node rules.js <规则文件> <字典文件> <数据库文件名>');
+    console.log('例如: node rules.js rules.sample.rule words.txt lucky02.db');
+    process.exit(1);
+  }
+
+  const rules = loadRules(rulesFile);
+  console.log(`已加载 ${rules.length} 条规则`);
+
+  console.time('执行规则耗时');
+  const stats = await applyRulesToDb(dbName, rules, wordlist);
+  console.timeEnd('执行规则耗时');
+
+  console.log('基础单词', stats.words, '个');
+  console.log('实际总计生成', stats.generated, '条密码');
+  console.log('实际插入到数据库', stats.inserted, '条密码记录');
+
+  closeDb(dbName);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('执行规则失败:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  parseRule,
+  applyRule,
+  loadRules,
+  mutate,
+  applyRulesToDb,
+};
@@ -0,0 +1,183 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const secp256k1 = require('secp256k1');
+
+// 找到的密码用接收方公钥加密后才写入磁盘和日志，私钥只保存在所有者的离线机器上
+// 服务端和客户端配置 RESULT_PUBLIC_KEY（33 字节压缩公钥的十六进制）后生效，客户端未配置时使用服务端下发的公钥
+//
+// 加密方式为 secp256k1 ECIES：每次生成临时密钥对，AES-256-GCM 密钥 = sha256(ECDH 共享点的压缩形式)
+// 密文格式：sealed1:base64(33 字节临时公钥 + 12 字节 IV + 16 字节 GCM tag + 密文)
+
+const SEALED_PREFIX = 'sealed1:';
+const SEALED_PATTERN = /sealed1:[A-Za-z0-9+/]+=*/g;
+const DEFAULT_KEY_FILE = path.join(__dirname, 'result-key.json');
+
+function sharedKey(publicKey, privateKey) {
+  const point = Buffer.from(secp256k1.publicKeyTweakMul(publicKey, privateKey, true));
+  return crypto.createHash('sha256').update(point).digest();
+}
+
+function isValidPublicKey(publicKeyHex) {
+  return typeof publicKeyHex === 'string' && /^[0-9a-fA-F]{66}$/.test(publicKeyHex) && secp256k1.publicKeyVerify(Buffer.from(publicKeyHex, 'hex'));
+}
+
+/**
+ * 生成一对接收方密钥
+ * @returns {{publicKey: string, privateKey: string}} 十六进制的压缩公钥和私钥
+ */
+function generateKeyPair() {
+  let privateKey;
+  do {
+    privateKey = crypto.randomBytes(32);
+  } while (!secp256k1.privateKeyVerify(privateKey));
+
+  return {
+    publicKey: Buffer.from(secp256k1.publicKeyCreate(privateKey, true)).toString('hex'),
+    privateKey: privateKey.toString('hex'),
+  };
+}
+
+/**
+ * 用接收方公钥加密一段文本
+ * @param {string} text - 明文（找到的密码等）
+ * @param {string} publicKeyHex - 接收方压缩公钥
+ * @returns {string} sealed1: 开头的密文
+ */
+function seal(text, publicKeyHex) {
+  const ephemeral = generateKeyPair();
+  const ephemeralPrivateKey = Buffer.from(ephemeral.privateKey, 'hex');
+  const key = sharedKey(Buffer.from(publicKeyHex, 'hex'), ephemeralPrivateKey);
+  const iv = crypto.randomBytes(12);
+
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(Buffer.from(text, 'utf8')), cipher.final()]);
+  const payload = Buffer.concat([Buffer.from(ephemeral.publicKey, 'hex'), iv, cipher.getAuthTag(), ciphertext]);
+  return SEALED_PREFIX + payload.toString('base64');
+}
+
+/**
+ * 用接收方私钥解密 seal() 的输出
+ * @param {string} sealed - sealed1: 开头的密文
+ * @param {string} privateKeyHex - 接收方私钥
+ * @returns {string} 明文，私钥不对或密文被篡改时抛出异常
+ */
+function open(sealed, privateKeyHex) {
+  if (!sealed.startsWith(SEALED_PREFIX)) {
+    throw new Error('不是 sealed1: 格式的密文');
+  }
+
+  const payload = Buffer.from(sealed.slice(SEALED_PREFIX.length), 'base64');
+  if (payload.length < 33 + 12 + 16) {
+    throw new Error('密文长度不足');
+  }
+
+  const key = sharedKey(payload.subarray(0, 33), Buffer.from(privateKeyHex, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, payload.subarray(33, 45));
+  decipher.setAuthTag(payload.subarray(45, 61));
+  return Buffer.concat([decipher.update(payload.subarray(61)), decipher.final()]).toString('utf8');
+}
+
+/**
+ * 配置了公钥时返回密文，否则原样返回，用于写入文件和日志的地方
+ * @param {string} text - 明文
+ * @param {string} publicKeyHex - 接收方压缩公钥，可为空
+ * @returns {string} 密文或明文
+ */
+function sealIfConfigured(text, publicKeyHex) {
+  return publicKeyHex ? seal(text, publicKeyHex) : text;
+}
+
+function parseArgs(argv) {
+  const options = {};
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      const name = argv[i].slice(2);
+      if (name === 'force') {
+        options[name] = true;
+      } else {
+        options[name] = argv[++i];
+      }
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  return { positional, options };
+}
+
+function keygenCommand(options) {
+  const keyFile = options.out || DEFAULT_KEY_FILE;
+  if (fs.existsSync(keyFile) && !options.force) {
+    throw new Error(`${keyFile} 已存在，使用 --force 覆盖或 --out 指定其他文件`);
+  }
+
+  const keyPair = generateKeyPair();
+  fs.writeFileSync(keyFile, JSON.stringify(keyPair, null, 2) + '\n', { mode: 0o600 });
+  console.log(`私钥已写入 ${keyFile}，请转移到离线机器保存，不要留在服务器或客户端上`);
+  console.log(`在服务端（以及需要的客户端）配置:\nRESULT_PUBLIC_KEY=${keyPair.publicKey}`);
+}
+
+// 把文件（或命令行直接给出的密文）中所有 sealed1: 密文替换为明文后输出
+function decryptResultCommand(inputs, options) {
+  const keyFile = options.key || DEFAULT_KEY_FILE;
+  const { privateKey } = JSON.parse(fs.readFileSync(keyFile, 'utf8'));
+  if (inputs.length === 0) {
+    inputs = [path.join(__dirname, 'found_password.txt')];
+  }
+
+  let failed = 0;
+  for (const input of inputs) {
+    const text = input.startsWith(SEALED_PREFIX) ? input : fs.readFileSync(input, 'utf8');
+    const decrypted = text.replace(SEALED_PATTERN, (sealed) => {
+      try {
+        return open(sealed, privateKey);
+      } catch (error) {
+        failed += 1;
+        return `${sealed}（无法解密: ${error.message}）`;
+      }
+    });
+    if (inputs.length > 1) {
+      console.log(`==> ${input} <==`);
+    }
+    console.log(decrypted.replace(/\n$/, ''));
+  }
+
+  if (failed > 0) {
+    throw new Error(`${failed} 条密文无法用 ${keyFile} 解密`);
+  }
+}
+
+function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const { positional, options } = parseArgs(rest);
+
+  if (command === 'keygen') {
+    keygenCommand(options);
+  } else if (command === 'decrypt-result') {
+    decryptResultCommand(positional, options);
+  } else {
+    console.log('用法:');
+    console.log('  node seal.js keygen [--out result-key.json] [--force]');
+    console.log('  node seal.js decrypt-result [found_password.txt ...|sealed1:...] [--key result-key.json]');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error('执行失败:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  SEALED_PREFIX,
+  isValidPublicKey,
+  generateKeyPair,
+  seal,
+  open,
+  sealIfConfigured,
+};
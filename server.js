@@ -2,14 +2,35 @@ require('dotenv').config();
 
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const Fastify = require('fastify');
 const Database = require('better-sqlite3');
+const { ensureSchema } = require('./db');
+const { isValidEncrypt, describeEncrypt } = require('./verifiers');
+const { VerifyBusyError, createVerifyQueue } = require('./verify-worker');
+const { isValidPublicKey, sealIfConfigured } = require('./seal');
+const { EVENTS, parseTargets, createNotifier } = require('./notify');
+const { createRegistry } = require('./metrics');
+const { BATCH_STATUS, openCandidateStore } = require('./candidates');
+const { planInjection } = require('./inject');
+const { PRIORITY, planRerank } = require('./priority');
 
 const PORT = Number(process.env.PORT || 3000);
 const HOST = process.env.HOST || '127.0.0.1';
 const DB_NAME = process.env.DB_NAME || 'lucky.db';
 const API_TOKEN = process.env.API_TOKEN || '';
+const ENROLL_TOKEN = process.env.ENROLL_TOKEN || '';
+const VIEWER_TOKEN = process.env.VIEWER_TOKEN || '';
+const RESULT_PUBLIC_KEY = process.env.RESULT_PUBLIC_KEY || '';
+const LEASE_SECONDS = Number(process.env.LEASE_SECONDS || 900);
+const TARGET_BATCH_SECONDS = Number(process.env.TARGET_BATCH_SECONDS || 300);
+const MAX_BATCH_SIZE = 1_000_000;
+const NOTIFY_IDLE_MINUTES = Number(process.env.NOTIFY_IDLE_MINUTES || 30);
+const NOTIFY_SILENT_MINUTES = Number(process.env.NOTIFY_SILENT_MINUTES || 15);
+const NOTIFY_RETRIES = Number(process.env.NOTIFY_RETRIES || 5);
+const MAX_REJECTED_CLAIMS = Number(process.env.MAX_REJECTED_CLAIMS || 5);
 const DB_PATH = path.join(__dirname, 'data', DB_NAME);
+const SAMPLE_DB_NAME = 'lucky-sample.db';
 const INDEX_PATH = path.join(__dirname, 'index.html');
 const STARTUP_TIME_FILE = path.join(__dirname, '.startup_time');
 const CLIENTS_DATA_FILE = path.join(__dirname, 'clients.json');
@@ -31,385 +52,1886 @@ fastify.log.info(
       LOG_LEVEL: process.env.LOG_LEVEL || 'info',
       DB_NAME,
       API_TOKEN: API_TOKEN ? '***' : 'NOT SET',
+      ENROLL_TOKEN: ENROLL_TOKEN ? '***' : 'NOT SET',
+      VIEWER_TOKEN: VIEWER_TOKEN ? '***' : 'NOT SET',
+      RESULT_PUBLIC_KEY: RESULT_PUBLIC_KEY || 'NOT SET',
+      LEASE_SECONDS,
+      TARGET_BATCH_SECONDS,
+      NOTIFY_IDLE_MINUTES,
+      NOTIFY_SILENT_MINUTES,
+      NOTIFY_RETRIES,
     },
   },
   'Loaded environment configuration',
 );
 
-// Token验证中间件 - 只对POST请求验证
+// 角色：每个路由用 config.role 声明需要的角色，未声明的路由在启动时报错
+//   public  无需 token（控制台页面、健康检查）
+//   viewer  只读统计，VIEWER_TOKEN
+//   worker  领取批次、提交结果、心跳，客户端注册时分配的独立 token
+//   enroll  只能注册客户端，ENROLL_TOKEN
+//   admin   重置、查询候选密码、管理客户端，API_TOKEN
+const ROLES = {
+  PUBLIC: 'public',
+  VIEWER: 'viewer',
+  WORKER: 'worker',
+  ENROLL: 'enroll',
+  ADMIN: 'admin',
+};
+
+// 每个角色可以访问的路由角色
+const ROLE_GRANTS = {
+  [ROLES.VIEWER]: [ROLES.VIEWER],
+  [ROLES.WORKER]: [ROLES.VIEWER, ROLES.WORKER],
+  [ROLES.ENROLL]: [ROLES.ENROLL],
+  [ROLES.ADMIN]: [ROLES.VIEWER, ROLES.WORKER, ROLES.ENROLL, ROLES.ADMIN],
+};
+
+function role(name) {
+  return { config: { role: name } };
+}
+
+fastify.addHook('onRoute', (routeOptions) => {
+  const required = routeOptions.config && routeOptions.config.role;
+  if (required !== ROLES.PUBLIC && !ROLE_GRANTS[required]) {
+    throw new Error(`路由 ${routeOptions.method} ${routeOptions.url} 没有声明角色`);
+  }
+});
+
+// Token验证中间件 - 按路由声明的角色验证
 fastify.addHook('preHandler', async (request, reply) => {
-  // 只验证POST请求
-  if (request.method === 'POST') {
-    if (!API_TOKEN) {
-      fastify.log.warn('API_TOKEN not set, POST requests will be rejected');
-      reply.code(401).send({ error: 'API token required but not configured' });
-      return;
+  const required = request.routeOptions.config.role;
+  if (request.is404 || required === ROLES.PUBLIC) {
+    return;
+  }
+
+  const auth = authenticate(request);
+  if (auth.error) {
+    fastify.log.warn(`${request.method} ${request.url} rejected: ${auth.error}`);
+    reply.code(auth.code).send({ error: auth.error, clientStatus: auth.clientStatus });
+    return;
+  }
+
+  if (!ROLE_GRANTS[auth.role].includes(required)) {
+    fastify.log.warn(`${request.method} ${request.url} rejected: ${auth.role} cannot access ${required} route`);
+    reply.code(403).send({ error: 'Insufficient permissions', role: auth.role, required });
+    return;
+  }
+  request.role = auth.role;
+
+  // 已注册的客户端只能以自己的身份提交，body 和 query 中的 clientId 以 token 对应的 UUID 为准
+  if (auth.client) {
+    if (request.body && typeof request.body === 'object') {
+      request.body.clientId = auth.client.id;
+    }
+    if (request.query && typeof request.query === 'object') {
+      request.query.clientId = auth.client.id;
+    }
+    touchRegisteredClientStmt.run(request.headers['x-client-version'] || null, auth.client.id);
+    if (!clients[auth.client.id]) {
+      clients[auth.client.id] = { lastActiveTime: Date.now(), processedCount: 0 };
+    }
+    clients[auth.client.id].label = auth.client.label || auth.client.hostname;
+  }
+
+  fastify.log.debug(`${request.method} ${request.url} authorized as ${auth.role}`);
+});
+
+const db = new Database(DB_PATH);
+
+// 数据库表结构由 db.js 模块管理，旧数据库可能缺少后来新增的表和列
+ensureSchema(db);
+
+// 本次启动以来分发和结束的批次数（全部任务合计），供 /metrics 使用
+const batchCounters = {
+  issued: 0,
+  [BATCH_STATUS.COMPLETED]: 0,
+  [BATCH_STATUS.RELEASED]: 0,
+  [BATCH_STATUS.EXPIRED]: 0,
+};
+
+// 任务：每个任务有自己的候选库、encrypt 数据、优先级、状态和找到的结果，注册表保存在主库的 jobs 表
+// 默认任务 default 使用 DB_NAME 和 encrypt.json，只有一个任务时与以前的行为相同
+const DEFAULT_JOB_ID = 'default';
+const JOB_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,31}$/;
+
+// running 正常分发；paused 不分发，正在处理该任务批次的客户端立即归还并改领其他任务；
+// draining 不分发，进行中的批次照常完成和提交，全部结束后自动转为 paused
+const JOB_STATES = {
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  DRAINING: 'draining',
+};
+const JOB_ACTIONS = {
+  pause: JOB_STATES.PAUSED,
+  resume: JOB_STATES.RUNNING,
+  drain: JOB_STATES.DRAINING,
+};
+
+const jobs = new Map(); // id -> 任务
+
+const getJobRowStmt = db.prepare('SELECT * FROM jobs WHERE id = ?');
+const listJobRowsStmt = db.prepare('SELECT * FROM jobs ORDER BY created_at, id');
+const insertJobStmt = db.prepare('INSERT INTO jobs (id, name, db_name, encrypt, priority, weight, state, reason) VALUES (?, ?, ?, ?, ?, ?, ?, ?)');
+const updateDefaultJobStmt = db.prepare('UPDATE jobs SET db_name = ?, encrypt = ? WHERE id = ?');
+const setJobStateStmt = db.prepare("UPDATE jobs SET state = ?, reason = ?, changed_at = strftime('%s', 'now') WHERE id = ?");
+const setJobPriorityStmt = db.prepare('UPDATE jobs SET name = ?, priority = ?, weight = ? WHERE id = ?');
+const deleteJobStmt = db.prepare('DELETE FROM jobs WHERE id = ?');
+
+// 找到的结果写入任务自己的文件，文件存在即表示该任务已找到；默认任务沿用 found_password.txt
+function resultFileFor(jobId) {
+  return path.join(__dirname, jobId === DEFAULT_JOB_ID ? 'found_password.txt' : `found_password.${jobId}.txt`);
+}
+
+// 打开任务的候选库，默认任务与任务注册表共用主库连接
+function openJob(row) {
+  let jobDb = db;
+  if (row.db_name !== DB_NAME) {
+    const jobDbPath = path.join(__dirname, 'data', row.db_name);
+    if (!fs.existsSync(jobDbPath)) {
+      throw new Error(`数据库文件不存在: ${jobDbPath}`);
     }
+    jobDb = new Database(jobDbPath);
+    ensureSchema(jobDb);
+  }
+
+  const job = {
+    id: row.id,
+    name: row.name || row.id,
+    dbName: row.db_name,
+    encrypt: JSON.parse(row.encrypt),
+    priority: row.priority,
+    weight: row.weight,
+    state: row.state,
+    reason: row.reason,
+    changedAt: row.changed_at * 1000,
+    found: fs.existsSync(resultFileFor(row.id)),
+    queueExhausted: false, // 候选已全部检查完且没有找到密码，已发过通知
+    roundRobin: 0, // 平滑加权轮询的当前值
+    cache: { stats: null, completedBase: 0, updating: false },
+  };
+  job.store = openCandidateStore(jobDb, {
+    leaseSeconds: LEASE_SECONDS,
+    onBatch: (type, batch) => {
+      batchCounters[type] += 1;
+      publishBatch(job, type, batch);
+      if (type !== 'issued') {
+        checkDrained(job);
+      }
+    },
+  });
+  jobs.set(job.id, job);
+  return job;
+}
 
-    const token = request.headers['authorization'] || request.headers['x-api-token'];
+// 启动时载入全部任务；第一次启动时用 DB_NAME 和 encrypt.json 创建默认任务
+function loadJobs(defaultEncrypt) {
+  if (!getJobRowStmt.get(DEFAULT_JOB_ID)) {
+    insertJobStmt.run(DEFAULT_JOB_ID, null, DB_NAME, JSON.stringify(defaultEncrypt), 0, 1, JOB_STATES.RUNNING, null);
+  } else {
+    // DB_NAME 和 encrypt.json 仍然是默认任务的来源
+    updateDefaultJobStmt.run(DB_NAME, JSON.stringify(defaultEncrypt), DEFAULT_JOB_ID);
+  }
 
-    if (!token) {
-      fastify.log.warn(`POST ${request.url} rejected: No token provided`);
-      reply.code(401).send({ error: 'API token required' });
-      return;
+  for (const row of listJobRowsStmt.all()) {
+    try {
+      openJob(row);
+    } catch (error) {
+      fastify.log.error(`任务 ${row.id} 载入失败，跳过: ${error.message}`);
     }
+  }
+}
+
+function getJob(jobId) {
+  return jobs.get(jobId || DEFAULT_JOB_ID) || null;
+}
 
-    // 支持 Bearer token 和直接token
-    const actualToken = token.startsWith('Bearer ') ? token.slice(7) : token;
-    if (actualToken !== API_TOKEN) {
-      fastify.log.warn(`POST ${request.url} rejected: Invalid token`);
-      reply.code(403).send({ error: 'Invalid API token' });
-      return;
+function allJobsFound() {
+  return [...jobs.values()].every((job) => job.found);
+}
+
+function isJobRunnable(job) {
+  return job.state === JOB_STATES.RUNNING && !job.found;
+}
+
+function countActiveBatches() {
+  let count = 0;
+  for (const job of jobs.values()) {
+    count += job.store.countActiveBatches();
+  }
+  return count;
+}
+
+// 批次 ID 是 UUID，依次在各任务的候选库里查找
+function findBatch(batchId) {
+  for (const job of jobs.values()) {
+    const batch = job.store.getBatch(batchId);
+    if (batch) {
+      return { job, batch };
     }
+  }
+  return null;
+}
 
-    fastify.log.info(`POST ${request.url} authorized`);
+// 校验批次租约属于该客户端且仍然有效，失败时返回 HTTP 状态码和错误信息（找得到批次时附带所属任务）
+function findLease(batchId, clientId) {
+  const found = findBatch(batchId);
+  if (!found) {
+    return { code: 404, error: 'batch not found' };
   }
-});
+  const { job, batch } = found;
+  if (batch.client_id !== clientId) {
+    return { code: 403, error: 'batch is leased to another client', job };
+  }
+  if (batch.status !== BATCH_STATUS.ACTIVE) {
+    return { code: 409, error: `batch lease is ${batch.status}`, leaseLost: true, job };
+  }
+  return { job, batch };
+}
 
-const db = new Database(DB_PATH);
+// 回收所有任务中租约已过期的批次
+function expireLeases() {
+  return [...jobs.values()].flatMap((job) => job.store.expireLeases());
+}
+
+// 按优先级从高到低逐层尝试；同一优先级内用平滑加权轮询决定先后，
+// 轮到的任务没有可分发的候选时依次尝试同层的下一个，再尝试下一层
+function issueFromJobs(clientId, batchSize) {
+  const tiers = new Map();
+  for (const job of jobs.values()) {
+    if (!isJobRunnable(job)) continue;
+    if (!tiers.has(job.priority)) tiers.set(job.priority, []);
+    tiers.get(job.priority).push(job);
+  }
 
-// 数据库表结构由 db.js 模块管理
+  for (const priority of [...tiers.keys()].sort((a, b) => b - a)) {
+    const tier = tiers.get(priority);
+    const totalWeight = tier.reduce((sum, job) => sum + job.weight, 0);
+    const ordered = [...tier].sort((a, b) => b.roundRobin + b.weight - (a.roundRobin + a.weight));
 
-const countStmt = db.prepare('SELECT COUNT(*) AS count FROM records');
-const getStmt = db.prepare('SELECT id, pwd, status FROM records WHERE id = ?');
-const randomStmt = db.prepare('SELECT id, pwd, status FROM records ORDER BY RANDOM() LIMIT 1');
-const getByPwdStmt = db.prepare('SELECT id, pwd, status FROM records WHERE pwd = ?');
+    for (const job of ordered) {
+      const batch = job.store.issueBatch(clientId, batchSize);
+      if (batch) {
+        for (const other of tier) {
+          other.roundRobin += other.weight;
+        }
+        job.roundRobin -= totalWeight;
+        job.queueExhausted = false;
+        return { job, batch };
+      }
+      job.roundRobin = 0;
+      checkQueueExhausted(job);
+    }
+  }
+  return null;
+}
 
-const STATUS = {
-  UNCHECK: 0,
-  CHECKING: 1,
-  CHECKED: 2,
+const CLIENT_STATUS = {
+  ACTIVE: 'active',
+  DISABLED: 'disabled',
+  REVOKED: 'revoked',
 };
 
+const insertRegisteredClientStmt = db.prepare(`
+  INSERT INTO client_registry (id, token_hash, label, hostname, hardware, version, enrolled_at, last_seen_at)
+  VALUES (?, ?, ?, ?, ?, ?, strftime('%s', 'now'), strftime('%s', 'now'))
+`);
+const getRegisteredClientStmt = db.prepare('SELECT * FROM client_registry WHERE id = ?');
+const getRegisteredClientByTokenStmt = db.prepare('SELECT * FROM client_registry WHERE token_hash = ?');
+const listRegisteredClientsStmt = db.prepare(
+  'SELECT id, label, hostname, hardware, version, status, enrolled_at, last_seen_at, status_changed_at FROM client_registry ORDER BY enrolled_at',
+);
+const touchRegisteredClientStmt = db.prepare("UPDATE client_registry SET last_seen_at = strftime('%s', 'now'), version = COALESCE(?, version) WHERE id = ?");
+const setRegisteredClientStatusStmt = db.prepare("UPDATE client_registry SET status = ?, status_changed_at = strftime('%s', 'now') WHERE id = ?");
+const setRegisteredClientLabelStmt = db.prepare('UPDATE client_registry SET label = ? WHERE id = ?');
+
+// 数据库里只保存 token 的 SHA-256，token 本身只在注册时返回一次
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// 解析请求携带的 token，返回 { role }，注册客户端另带 { client }；失败时返回 HTTP 状态码和错误信息
+function authenticate(request) {
+  const header = request.headers['authorization'] || request.headers['x-api-token'];
+  if (!header) {
+    return { code: 401, error: 'API token required' };
+  }
+
+  // 支持 Bearer token 和直接token
+  const token = header.startsWith('Bearer ') ? header.slice(7) : header;
+  if (API_TOKEN && token === API_TOKEN) {
+    return { role: ROLES.ADMIN };
+  }
+  if (ENROLL_TOKEN && token === ENROLL_TOKEN) {
+    return { role: ROLES.ENROLL };
+  }
+  if (VIEWER_TOKEN && token === VIEWER_TOKEN) {
+    return { role: ROLES.VIEWER };
+  }
+
+  const client = getRegisteredClientByTokenStmt.get(hashToken(token));
+  if (!client) {
+    return { code: 403, error: 'Invalid API token' };
+  }
+  if (client.status !== CLIENT_STATUS.ACTIVE) {
+    return { code: 403, error: `Client ${client.status}`, clientStatus: client.status };
+  }
+  return { role: ROLES.WORKER, client };
+}
+
+// 修改注册客户端的状态，停用或吊销时立即归还它持有的批次，不必等租约过期
+function setClientStatus(id, status) {
+  const client = getRegisteredClientStmt.get(id);
+  if (!client) {
+    return { code: 404, error: 'client not found' };
+  }
+  if (client.status === CLIENT_STATUS.REVOKED && status !== CLIENT_STATUS.REVOKED) {
+    return { code: 409, error: 'client is revoked and must enroll again' };
+  }
+
+  setRegisteredClientStatusStmt.run(status, id);
+
+  let released = 0;
+  if (status !== CLIENT_STATUS.ACTIVE) {
+    for (const job of jobs.values()) {
+      for (const batch of job.store.getClientBatches(id)) {
+        job.store.finishBatch(batch, BATCH_STATUS.RELEASED);
+        released += batch.count;
+      }
+    }
+  }
+  // 停用的客户端暂停等待重新启用，吊销的客户端直接退出
+  if (status === CLIENT_STATUS.ACTIVE) {
+    sendControl(CONTROL_COMMANDS.RESUME, {}, id);
+  } else if (status === CLIENT_STATUS.DISABLED) {
+    sendControl(CONTROL_COMMANDS.PAUSE, { reason: 'disabled' }, id);
+  } else {
+    sendControl(CONTROL_COMMANDS.STOP, { reason: 'revoked' }, id);
+    closeControlStreams(id);
+  }
+  publishClient('update', id);
+  return { released };
+}
+
 let shuttingDown = false;
-let passwordFound = false; // 全局标记，密码是否已找到
 
-const encrypt = require('./encrypt.json');
+const insertNotificationStmt = db.prepare('INSERT INTO notifications (event, target, attempt, status, error) VALUES (?, ?, ?, ?, ?)');
+const listNotificationsStmt = db.prepare('SELECT * FROM notifications ORDER BY id DESC LIMIT ?');
+
+let notifyTargets = [];
+try {
+  notifyTargets = parseTargets({
+    webhooks: process.env.NOTIFY_WEBHOOKS,
+    smtpUrl: process.env.SMTP_URL,
+    emailFrom: process.env.NOTIFY_EMAIL_FROM,
+    emailTo: process.env.NOTIFY_EMAIL_TO,
+  });
+} catch (error) {
+  fastify.log.error(`通知配置无效: ${error.message}`);
+  process.exit(1);
+}
+
+// 每次投递尝试都写入 notifications 表
+const notifier = createNotifier({
+  targets: notifyTargets,
+  retries: NOTIFY_RETRIES,
+  onDelivery: ({ event, target, attempt, status, error }) => {
+    insertNotificationStmt.run(event, target, attempt, status, error || null);
+    if (status === 'delivered') {
+      fastify.log.info(`通知 ${event} 已发送到 ${target}（第 ${attempt} 次尝试）`);
+    } else {
+      fastify.log.warn(`通知 ${event} 发送到 ${target} 失败（第 ${attempt} 次尝试，${status === 'failed' ? '已放弃' : '稍后重试'}）: ${error}`);
+    }
+  },
+});
+
+// 发送通知不阻塞请求处理，重试在后台进行
+function notify(event, title, message, data = {}) {
+  if (notifyTargets.length === 0) {
+    return;
+  }
+  notifier.notify(event, title, message, data).catch((error) => fastify.log.error(error, '发送通知时出错'));
+}
+
+function clientName(clientId) {
+  return (clients[clientId] && clients[clientId].label) || clientId;
+}
+
+// 通知和实时推送里都不带明文密码，配置了 RESULT_PUBLIC_KEY 时通知附上密文
+// 还有其他任务没找到时，只让正在处理这个任务的客户端改领其他任务；全部找到后通知所有客户端停止
+function announcePasswordFound(job, clientId, sealedPassword) {
+  publishStats('found', { jobId: job.id, clientId, label: clientName(clientId), time: Date.now() });
+  publishJob(job);
+  if (allJobsFound()) {
+    const delivered = sendControl(CONTROL_COMMANDS.STOP, { reason: 'password_found' });
+    fastify.log.info(`全部任务都已找到密码，已通知 ${delivered} 个客户端连接停止工作`);
+  } else {
+    interruptJobClients(job, 'password_found');
+  }
+  notify(
+    EVENTS.PASSWORD_FOUND,
+    '🎉 密码已找到',
+    `客户端 ${clientName(clientId)} 找到了任务 ${job.name} 的密码，已通过服务端复核，详见服务器上的 ${path.basename(resultFileFor(job.id))}`,
+    {
+      jobId: job.id,
+      clientId,
+      sealedPassword: RESULT_PUBLIC_KEY ? sealedPassword : undefined,
+    },
+  );
+}
+
+// 任务的候选已全部检查完且没有进行中的批次时发一次通知，有新批次分发后重新计
+function checkQueueExhausted(job) {
+  if (!job.queueExhausted && !job.found && job.store.countActiveBatches() === 0) {
+    job.queueExhausted = true;
+    fastify.log.warn(`任务 ${job.id} 的全部候选密码已检查完，没有找到密码`);
+    notify(EVENTS.QUEUE_EXHAUSTED, '候选密码已全部检查完', `任务 ${job.name} 的全部候选密码已检查完，没有找到正确密码`, {
+      jobId: job.id,
+      total: job.store.countCandidates(),
+    });
+  }
+}
+
+// 客户端活动检查，只看本次启动后有过活动的客户端（clients.json 里的旧记录不算）
+const processStartedAt = Date.now();
+let idleNotifiedFor = null; // 已经为哪个“最后活动时间”发过无活动客户端通知
+const silentNotifiedFor = new Map(); // clientId -> 已经为哪个 lastActiveTime 发过失联通知
+
+function checkClientActivity() {
+  // 所有任务都找到密码或检查完之后客户端本来就会停下
+  if ([...jobs.values()].every((job) => job.found || job.queueExhausted)) {
+    return;
+  }
+
+  const now = Date.now();
+  const recent = Object.entries(clients).filter(([, client]) => client.lastActiveTime >= processStartedAt);
+  const lastActivity = Math.max(processStartedAt, ...recent.map(([, client]) => client.lastActiveTime));
+
+  if (now - lastActivity >= NOTIFY_IDLE_MINUTES * 60 * 1000 && idleNotifiedFor !== lastActivity) {
+    idleNotifiedFor = lastActivity;
+    notify(EVENTS.NO_ACTIVE_CLIENTS, '没有活动的客户端', `已经 ${Math.round((now - lastActivity) / 60000)} 分钟没有任何客户端活动`, {
+      lastActivity: new Date(lastActivity).toISOString(),
+    });
+  }
+
+  for (const [clientId, client] of recent) {
+    if (now - client.lastActiveTime < NOTIFY_SILENT_MINUTES * 60 * 1000 || silentNotifiedFor.get(clientId) === client.lastActiveTime) {
+      continue;
+    }
+    // 被停用或吊销的客户端不算失联
+    const registered = getRegisteredClientStmt.get(clientId);
+    if (registered && registered.status !== CLIENT_STATUS.ACTIVE) {
+      continue;
+    }
+
+    silentNotifiedFor.set(clientId, client.lastActiveTime);
+    notify(EVENTS.CLIENT_SILENT, '客户端失去联系', `客户端 ${clientName(clientId)} 已经 ${Math.round((now - client.lastActiveTime) / 60000)} 分钟没有消息`, {
+      clientId,
+      lastActiveTime: new Date(client.lastActiveTime).toISOString(),
+    });
+  }
+}
+
+const defaultEncrypt = require('./encrypt.json');
+
+const insertSuspiciousEventStmt = db.prepare('INSERT INTO suspicious_events (client_id, kind, detail) VALUES (?, ?, ?)');
+
+const verifyQueue = createVerifyQueue();
+
+// 用与客户端相同的验证插件在后台线程复核上报的密码，不通过时记录可疑事件并计入该客户端
+// 返回 { verified: true }，或者 { code, error, verified? } 直接作为响应；复核排队已满时不带 verified，客户端稍后重试
+async function verifyClaim(job, clientId, password, source) {
+  // 累计被拒绝的上报达到上限后不再复核，避免伪造的上报反复占用复核线程
+  const rejectedClaims = (clients[clientId] && clients[clientId].rejectedClaims) || 0;
+  if (rejectedClaims >= MAX_REJECTED_CLAIMS) {
+    fastify.log.warn(`拒绝客户端 ${clientId} 通过 ${source} 的上报: 已有 ${rejectedClaims} 次上报未通过复核`);
+    return { code: 429, error: 'too many rejected password claims', verified: false };
+  }
+
+  let verified;
+  try {
+    verified = await verifyQueue.verify(password, job.encrypt);
+  } catch (error) {
+    if (error instanceof VerifyBusyError) {
+      fastify.log.warn(`复核排队已满，客户端 ${clientId} 通过 ${source} 的上报稍后重试: ${error.message}`);
+      return { code: 503, error: 'password verification busy, retry later' };
+    }
+    throw error;
+  }
+  if (verified) {
+    return { verified: true };
+  }
+
+  fastify.log.warn(`可疑上报: 客户端 ${clientId} 通过 ${source} 上报的任务 ${job.id} 密码未通过复核`);
+  // 复核失败的密码也可能只是 encrypt 数据有误，与接近命中一样只保存密文
+  insertSuspiciousEventStmt.run(clientId, 'invalid_password_claim', JSON.stringify({ source, jobId: job.id, password: sealResult(String(password)) }));
+
+  if (!clients[clientId]) {
+    clients[clientId] = { lastActiveTime: Date.now(), processedCount: 0 };
+  }
+  clients[clientId].rejectedClaims = rejectedClaims + 1;
+  return { code: 422, error: 'password verification failed', verified: false };
+}
+
+// 主密钥填充正确但没有 ckey 匹配：密码很可能是对的，encrypt.json 里的 ckey 数据需要人工检查
+// 配置了 RESULT_PUBLIC_KEY 时，写入文件、日志和数据库的密码只保留密文，用 node seal.js decrypt-result 离线解密
+function sealResult(password) {
+  return sealIfConfigured(password, RESULT_PUBLIC_KEY);
+}
+
+function recordNearMiss(clientId, batchId, nearMiss) {
+  // 接近命中的候选大概率就是正确密码，和找到的密码一样只保存密文
+  const password = sealResult(String(nearMiss.password));
+  fastify.log.warn(`接近命中: 客户端 ${clientId} 批次 ${batchId} 密码 ${password}（${nearMiss.reason}），请检查 encrypt.json 的 ckey 数据`);
+  insertSuspiciousEventStmt.run(clientId, 'near_miss', JSON.stringify({ batchId, ...nearMiss, password }));
+
+  if (!clients[clientId]) {
+    clients[clientId] = { lastActiveTime: Date.now(), processedCount: 0 };
+  }
+  clients[clientId].nearMisses = (clients[clientId].nearMisses || 0) + 1;
+}
+
+// 累计客户端各验证阶段淘汰的候选数量，用于确认快速淘汰路径的效果
+function recordRejections(clientId, rejections) {
+  if (!clients[clientId]) {
+    clients[clientId] = { lastActiveTime: Date.now(), processedCount: 0 };
+  }
+  const totals = clients[clientId].rejections || (clients[clientId].rejections = {});
+  for (const [stage, count] of Object.entries(rejections)) {
+    if (Number.isInteger(count) && count > 0) {
+      totals[stage] = (totals[stage] || 0) + count;
+    }
+  }
+}
 
-fastify.get('/', async (_request, reply) => {
+fastify.get('/', role(ROLES.PUBLIC), async (_request, reply) => {
   const html = await fs.promises.readFile(INDEX_PATH, 'utf8');
   reply.type('text/html').send(html);
 });
 
-fastify.get('/health', async () => ({ status: 'ok' }));
+fastify.get('/health', role(ROLES.PUBLIC), async () => ({ status: 'ok' }));
+
+// 控制台登录时用来确认 token 对应的角色
+fastify.get('/auth/role', role(ROLES.VIEWER), async (request) => ({ role: request.role }));
+
+// 候选密码总数，query 中给出 job 时只统计该任务
+fastify.get('/count', role(ROLES.VIEWER), async (request, reply) => {
+  if (request.query.job) {
+    const job = getJob(request.query.job);
+    if (!job) {
+      reply.code(404);
+      return { error: 'job not found' };
+    }
+    return { count: job.store.countCandidates() };
+  }
+
+  let count = 0;
+  for (const job of jobs.values()) {
+    count += job.store.countCandidates();
+  }
+  return { count };
+});
+
+// 候选密码查询，query 中的 job 指定任务，默认为 default
+function recordLookup(request, reply, lookup) {
+  const job = getJob(request.query.job);
+  if (!job) {
+    reply.code(404);
+    return { error: 'job not found' };
+  }
+  return lookup(job.store);
+}
+
+fastify.get('/records/:id', role(ROLES.ADMIN), async (request, reply) => {
+  const id = Number(request.params.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    reply.code(400);
+    return { error: 'id must be a positive integer' };
+  }
+  return recordLookup(request, reply, (store) => {
+    const record = store.getRecord(id);
+    if (!record) {
+      reply.code(404);
+      return { error: 'record not found' };
+    }
+    return {
+      id: record.id,
+      pwd: record.pwd,
+      status: record.status,
+    };
+  });
+});
+
+fastify.get('/records/random', role(ROLES.ADMIN), async (request, reply) => {
+  return recordLookup(request, reply, (store) => {
+    const record = store.getRandomRecord();
+    if (!record) {
+      return { error: 'no data' };
+    }
+    return {
+      id: record.id,
+      pwd: record.pwd,
+      status: record.status,
+    };
+  });
+});
+
+fastify.get('/records/by-pwd/:pwd', role(ROLES.ADMIN), async (request, reply) => {
+  const { pwd } = request.params;
+  if (typeof pwd !== 'string' || !pwd) {
+    reply.code(400);
+    return { error: 'pwd must be a non-empty string' };
+  }
+
+  return recordLookup(request, reply, (store) => {
+    const record = store.getRecordByPwd(pwd);
+    if (!record) {
+      reply.code(404);
+      return { error: 'record not found' };
+    }
+
+    return {
+      id: record.id,
+      pwd: record.pwd,
+      status: record.status,
+    };
+  });
+});
+
+// 计算批次大小：有实测速度时让一个批次大约耗时 TARGET_BATCH_SECONDS，否则按CPU核心数估算
+function calculateBatchSize(cpuCount, rate) {
+  if (Number.isFinite(rate) && rate > 0) {
+    return Math.min(MAX_BATCH_SIZE, Math.max(cpuCount, Math.round(rate * TARGET_BATCH_SECONDS)));
+  }
+  return Math.max(100, cpuCount * 100);
+}
+
+// 没有可以分发的任务时告诉客户端原因
+function jobsUnavailableMessage() {
+  const reasons = [...jobs.values()]
+    .filter((job) => !isJobRunnable(job))
+    .map((job) => `${job.id} ${job.found ? 'found' : job.state}${job.reason && !job.found ? ` (${job.reason})` : ''}`);
+  return `No job is running: ${reasons.join(', ')}`;
+}
+
+// 分发密码给客户端
+fastify.post('/work/request', role(ROLES.WORKER), async (request, reply) => {
+  const { cpuCount = 1, clientId, rate } = request.body;
+
+  if (!clientId) {
+    reply.code(400);
+    return { error: 'clientId is required' };
+  }
+
+  // 记录客户端活动时间，只更新 lastActiveTime 保留 processedCount
+  touchClient(clientId);
+
+  // 如果所有任务的密码都已找到，停止分发新任务
+  if (allJobsFound()) {
+    return {
+      success: false,
+      message: 'Password already found, no more work needed',
+      passwords: [],
+      encrypt: null,
+      passwordFound: true,
+    };
+  }
+
+  if (![...jobs.values()].some(isJobRunnable)) {
+    return {
+      success: false,
+      message: jobsUnavailableMessage(),
+      passwords: [],
+      encrypt: null,
+      paused: true,
+      jobs: [...jobs.values()].map(jobStatus),
+    };
+  }
+
+  if (pausedClients.has(clientId)) {
+    return {
+      success: false,
+      message: 'This client is paused by admin',
+      passwords: [],
+      encrypt: null,
+      paused: true,
+    };
+  }
+
+  // 计算批次大小，基于客户端上报的每秒验证密码数
+  const batchSize = calculateBatchSize(cpuCount, Number(rate));
+  if (Number(rate) > 0) {
+    clients[clientId].rate = Number(rate);
+  }
+  clients[clientId].nextBatchSize = batchSize;
+
+  try {
+    const issued = issueFromJobs(clientId, batchSize);
+
+    if (!issued) {
+      return {
+        success: false,
+        message: 'No more passwords to check',
+        passwords: [],
+        encrypt: null,
+      };
+    }
+
+    const { job, batch } = issued;
+    if (batch.range) {
+      const { mask, start, end } = batch.range;
+      fastify.log.info(`分发任务 ${job.id} 区间 ${mask} [${start}, ${end}) 共 ${batch.count} 个密码给客户端 ${clientId}，批次 ${batch.batchId}`);
+    } else {
+      fastify.log.info(`分发任务 ${job.id} 的 ${batch.count} 个密码给客户端 ${clientId}，批次 ${batch.batchId}`);
+    }
+
+    // 每个批次带上所属任务的 encrypt 数据，客户端按批次切换验证目标
+    return {
+      success: true,
+      ...batch,
+      jobId: job.id,
+      jobName: job.name,
+      encrypt: job.encrypt,
+      resultPublicKey: RESULT_PUBLIC_KEY || undefined,
+      leaseSeconds: LEASE_SECONDS,
+      leaseExpiresAt: Date.now() + LEASE_SECONDS * 1000,
+    };
+  } catch (error) {
+    fastify.log.error('分发密码时出错:', error);
+    console.error('分发密码时出错:', error);
+    reply.code(500);
+    return { error: 'Internal server error' };
+  }
+});
+
+// 延长批次租约
+fastify.post('/work/heartbeat', role(ROLES.WORKER), async (request, reply) => {
+  const { batchId, clientId } = request.body;
+
+  if (!batchId || !clientId) {
+    reply.code(400);
+    return { error: 'batchId and clientId are required' };
+  }
+
+  const lease = findLease(batchId, clientId);
+  if (lease.error) {
+    fastify.log.warn(`客户端 ${clientId} 续租批次 ${batchId} 失败: ${lease.error}`);
+    reply.code(lease.code);
+    return { error: lease.error, leaseLost: !!lease.leaseLost };
+  }
+
+  lease.job.store.extendLease(batchId);
+  touchClient(clientId);
+
+  return {
+    success: true,
+    leaseSeconds: LEASE_SECONDS,
+    leaseExpiresAt: Date.now() + LEASE_SECONDS * 1000,
+    passwordFound: lease.job.found,
+  };
+});
+
+// 客户端退出时主动归还批次，密码立即回到待分发队列
+fastify.post('/work/release', role(ROLES.WORKER), async (request, reply) => {
+  const { batchId, clientId } = request.body;
+
+  if (!batchId || !clientId) {
+    reply.code(400);
+    return { error: 'batchId and clientId are required' };
+  }
+
+  const lease = findLease(batchId, clientId);
+  if (lease.error) {
+    reply.code(lease.code);
+    return { error: lease.error, leaseLost: !!lease.leaseLost };
+  }
+
+  lease.job.store.finishBatch(lease.batch, BATCH_STATUS.RELEASED);
+  fastify.log.info(`客户端 ${clientId} 归还任务 ${lease.job.id} 的批次 ${batchId}，${lease.batch.count} 个密码退回待分发队列`);
+
+  return { success: true, released: lease.batch.count };
+});
+
+// 接收客户端的基准测试结果
+fastify.post('/work/benchmark', role(ROLES.WORKER), async (request, reply) => {
+  const { clientId, type, iterations, cpuCount, results, recommended, rate } = request.body;
+
+  if (!clientId || !Array.isArray(results)) {
+    reply.code(400);
+    return { error: 'clientId and results are required' };
+  }
+
+  if (!clients[clientId]) {
+    clients[clientId] = { lastActiveTime: Date.now(), processedCount: 0 };
+  }
+  clients[clientId].benchmark = { type, iterations, cpuCount, results, recommended, rate, reportedAt: Date.now() };
+
+  fastify.log.info(`客户端 ${clientId} 基准测试: ${Number(rate).toFixed(2)} 个密码/秒，建议 ${JSON.stringify(recommended)}`);
+
+  return { success: true };
+});
+
+// 接收碰撞结果，按 batchId 匹配租约
+fastify.post('/work/result', role(ROLES.WORKER), async (request, reply) => {
+  const { batchId, success, foundPassword, nearMisses, rejections, clientId, jobId } = request.body;
+
+  if (!batchId || !clientId) {
+    reply.code(400);
+    return { error: 'batchId and clientId are required' };
+  }
+
+  try {
+    const lease = findLease(batchId, clientId);
+
+    // 诊断数据（接近命中、各阶段淘汰数）只做记录，不影响批次状态
+    if (Array.isArray(nearMisses)) {
+      nearMisses.forEach((nearMiss) => recordNearMiss(clientId, batchId, nearMiss));
+    }
+    if (rejections && typeof rejections === 'object') {
+      recordRejections(clientId, rejections);
+    }
+
+    if (success && foundPassword) {
+      // 批次已经不存在时按客户端给出的 jobId 复核
+      const job = lease.job || getJob(jobId);
+      if (!job) {
+        reply.code(404);
+        return { error: 'job not found' };
+      }
+      const claim = await verifyClaim(job, clientId, foundPassword, '/work/result');
+      if (!claim.verified) {
+        reply.code(claim.code);
+        return { error: claim.error, verified: claim.verified };
+      }
+
+      // 找到密码了！设置任务的找到标记
+      const firstFind = !job.found;
+      job.found = true;
+
+      const sealedPassword = sealResult(foundPassword);
+      fastify.log.info(`🎉 密码找到了！客户端 ${clientId} 找到任务 ${job.id} 的密码: ${sealedPassword}`);
+
+      // 保存结果到文件
+      const result = `找到密码: ${sealedPassword}\n任务: ${job.id}\n时间: ${new Date().toISOString()}\n客户端: ${clientId}\n`;
+      await fs.promises.appendFile(resultFileFor(job.id), result);
+      // 找到密码的批次整批标记为已检查，和没找到时一样计入客户端的处理数
+      if (lease.batch) {
+        touchClient(clientId).processedCount += lease.batch.count;
+        job.store.finishBatch(lease.batch, BATCH_STATUS.COMPLETED);
+      }
+      if (firstFind) {
+        announcePasswordFound(job, clientId, sealedPassword);
+      }
+
+      // 停止这个任务的工作，其他任务还没找到时客户端继续领取
+      const stop = allJobsFound();
+      return {
+        success: true,
+        message: stop ? 'Password found! All work stopped!' : `Password found for job ${job.id}, other jobs continue`,
+        shouldStop: stop,
+        passwordFound: true,
+      };
+    }
+
+    // 迟到的结果不能把已经回收或重新分发的密码标记为已检查
+    if (lease.error) {
+      fastify.log.warn(`拒绝客户端 ${clientId} 的批次 ${batchId} 结果: ${lease.error}`);
+      reply.code(lease.code);
+      return { error: lease.error, leaseLost: !!lease.leaseLost };
+    }
+
+    // 更新客户端已处理的密码计数，放在 finishBatch 之前，推送的客户端状态才包含这一批
+    touchClient(clientId).processedCount += lease.batch.count;
+
+    // 没找到密码，标记这批密码为已检查
+    lease.job.store.finishBatch(lease.batch, BATCH_STATUS.COMPLETED);
+
+    fastify.log.info(
+      `客户端 ${clientId} 完成任务 ${lease.job.id} 批次 ${batchId} 共 ${lease.batch.count} 个密码检查，累计处理: ${clients[clientId].processedCount}`,
+    );
+
+    return {
+      success: true,
+      message: 'Results recorded',
+    };
+  } catch (error) {
+    fastify.log.error('处理碰撞结果时出错:', error);
+    reply.code(500);
+    return { error: 'Internal server error' };
+  }
+});
+
+// 报告找到的密码（持续重试），jobId 缺省时为默认任务
+fastify.post('/work/found', role(ROLES.WORKER), async (request, reply) => {
+  const { password, clientId, jobId } = request.body;
+
+  if (!password || !clientId) {
+    reply.code(400);
+    return { error: 'password and clientId are required' };
+  }
+
+  const job = getJob(jobId);
+  if (!job) {
+    reply.code(404);
+    return { error: 'job not found' };
+  }
+
+  try {
+    const claim = await verifyClaim(job, clientId, password, '/work/found');
+    if (!claim.verified) {
+      reply.code(claim.code);
+      return { error: claim.error, verified: claim.verified };
+    }
+
+    // 设置任务的找到标记，客户端重试上报时不重复通知
+    const firstFind = !job.found;
+    job.found = true;
+
+    const sealedPassword = sealResult(password);
+    fastify.log.info(`🎉🎉🎉 密码确认找到！客户端 ${clientId} 任务 ${job.id}: ${sealedPassword}`);
+
+    // 保存到文件
+    const result = `确认找到密码: ${sealedPassword}\n任务: ${job.id}\n时间: ${new Date().toISOString()}\n客户端: ${clientId}\n重复确认: 是\n\n`;
+    await fs.promises.appendFile(resultFileFor(job.id), result);
+    if (firstFind) {
+      announcePasswordFound(job, clientId, sealedPassword);
+    }
+
+    return {
+      success: true,
+      message: 'Password confirmed and saved',
+      passwordFound: true,
+    };
+  } catch (error) {
+    fastify.log.error('保存找到的密码时出错:', error);
+    reply.code(500);
+    return { error: 'Internal server error' };
+  }
+});
+
+// 重置任务的密码找到状态 - 仅限样本数据库，body 中的 jobId 缺省时为默认任务
+fastify.post('/work/reset-found', role(ROLES.ADMIN), async (request, reply) => {
+  try {
+    fastify.log.info('收到重置密码找到状态的请求');
+
+    const job = getJob((request.body || {}).jobId);
+    if (!job) {
+      reply.code(404);
+      return { error: 'job not found' };
+    }
+
+    // 安全检查：只有使用样本数据库才允许重置
+    if (job.dbName !== SAMPLE_DB_NAME) {
+      fastify.log.warn(`拒绝重置请求：任务 ${job.id} 的数据库 ${job.dbName} 不是样本数据库`);
+      reply.code(403);
+      return {
+        error: `Reset is only allowed for sample database (${SAMPLE_DB_NAME})`,
+        currentDatabase: job.dbName,
+        allowed: false,
+      };
+    }
+
+    const foundPasswordFile = resultFileFor(job.id);
+    let previouslyFound = false;
+
+    if (fs.existsSync(foundPasswordFile)) {
+      previouslyFound = true;
+      // 备份原文件
+      const backupFile = path.join(__dirname, `found_password_backup_${Date.now()}.txt`);
+      await fs.promises.copyFile(foundPasswordFile, backupFile);
+      await fs.promises.unlink(foundPasswordFile);
+      fastify.log.info(`密码找到状态已重置，原文件备份为: ${backupFile}`);
+    }
+
+    // 重置任务状态
+    job.found = false;
+    job.queueExhausted = false;
+    job.cache.stats = null;
+    fastify.log.info(`任务 ${job.id} 的密码找到状态已重置为false`);
+
+    // 将所有记录状态重置为UNCHECK，作废所有租约，密钥空间从头开始重新切分
+    const recordsReset = job.store.resetAll();
+
+    fastify.log.info(`已将 ${recordsReset} 条记录状态重置为UNCHECK`);
+
+    // 客户端手上这个任务的批次已随重置作废，立即放弃并重新领取
+    interruptJobClients(job, 'reset');
+    for (const [clientId, current] of currentBatches) {
+      if (current.jobId === job.id) currentBatches.delete(clientId);
+    }
+    wakeIdleClients(job, 'reset');
+    syncJobsActive();
+    // 正在订阅的控制台重新载入完整状态
+    publishStats('snapshot', statsSnapshot());
+
+    return {
+      success: true,
+      message: 'Password found status and all records reset, search can restart',
+      previouslyFound,
+      recordsReset,
+      database: job.dbName,
+    };
+  } catch (error) {
+    fastify.log.error('重置密码找到状态时出错:', error);
+    reply.code(500);
+    return { error: 'Internal server error' };
+  }
+});
+
+// 立即回收租约已过期的批次（定时任务每分钟也会执行一次）
+fastify.post('/work/reset-timeout', role(ROLES.ADMIN), async (request, reply) => {
+  try {
+    const expired = expireLeases();
+    const resetCount = expired.reduce((sum, batch) => sum + batch.count, 0);
+
+    if (expired.length > 0) {
+      fastify.log.info(`回收了 ${expired.length} 个过期批次，共 ${resetCount} 个密码`);
+    }
+
+    return {
+      success: true,
+      resetCount,
+      expiredBatches: expired.length,
+      message: `Reset ${resetCount} timed out checking records`,
+    };
+  } catch (error) {
+    fastify.log.error('重置超时状态时出错:', error);
+    reply.code(500);
+    return { error: 'Internal server error' };
+  }
+});
+
+// 客户端注册：分配 UUID 和独立 token，token 只在这里返回一次
+fastify.post('/clients/enroll', role(ROLES.ENROLL), async (request) => {
+  const { label, hardware, version } = request.body || {};
+  const id = crypto.randomUUID();
+  const token = crypto.randomBytes(32).toString('hex');
+  const hostname = hardware && typeof hardware.hostname === 'string' ? hardware.hostname : null;
+
+  insertRegisteredClientStmt.run(id, hashToken(token), label || null, hostname, hardware ? JSON.stringify(hardware) : null, version || null);
+  fastify.log.info(`注册新客户端 ${id}（${label || hostname || '未命名'}，版本 ${version || '未知'}）`);
+
+  return { success: true, clientId: id, token };
+});
+
+// 列出注册的客户端，附带内存中的运行数据
+fastify.get('/admin/clients', role(ROLES.ADMIN), async () => {
+  const registered = listRegisteredClientsStmt.all().map((client) => ({
+    ...client,
+    hardware: client.hardware ? JSON.parse(client.hardware) : null,
+    activity: clients[client.id] || null,
+  }));
+  return { clients: registered };
+});
+
+const CLIENT_ACTIONS = {
+  enable: CLIENT_STATUS.ACTIVE,
+  disable: CLIENT_STATUS.DISABLED,
+  revoke: CLIENT_STATUS.REVOKED,
+};
+
+// 修改客户端的标签
+fastify.post('/admin/clients/:id/label', role(ROLES.ADMIN), async (request, reply) => {
+  const { id } = request.params;
+  const { label } = request.body || {};
+  if (!getRegisteredClientStmt.get(id)) {
+    reply.code(404);
+    return { error: 'client not found' };
+  }
+
+  setRegisteredClientLabelStmt.run(label || null, id);
+  if (clients[id]) {
+    clients[id].label = label || null;
+  }
+  publishClient('update', id);
+  return { success: true };
+});
+
+// 启用、停用或吊销一个客户端
+fastify.post('/admin/clients/:id/:action', role(ROLES.ADMIN), async (request, reply) => {
+  const { id, action } = request.params;
+  const status = CLIENT_ACTIONS[action];
+  if (!status) {
+    reply.code(404);
+    return { error: `unknown action: ${action}` };
+  }
+
+  const result = setClientStatus(id, status);
+  if (result.error) {
+    reply.code(result.code);
+    return { error: result.error };
+  }
+
+  fastify.log.info(`客户端 ${id} 状态改为 ${status}，归还 ${result.released} 个密码`);
+  return { success: true, status, released: result.released };
+});
+
+// 通知目标和最近的投递记录
+fastify.get('/admin/notifications', role(ROLES.ADMIN), async (request) => {
+  const limit = Math.min(Number(request.query.limit) || 100, 1000);
+  return {
+    targets: notifyTargets.map((target) => target.name),
+    deliveries: listNotificationsStmt.all(limit),
+  };
+});
+
+// 向所有目标发送一条测试通知
+fastify.post('/admin/notifications/test', role(ROLES.ADMIN), async (request, reply) => {
+  if (notifyTargets.length === 0) {
+    reply.code(400);
+    return { error: 'no notification targets configured (NOTIFY_WEBHOOKS or SMTP_URL)' };
+  }
+  notify(EVENTS.TEST, '测试通知', 'Lucky Dog 通知配置正常', {});
+  return { success: true, targets: notifyTargets.map((target) => target.name) };
+});
+
+// 实时推送（Server-Sent Events）：控制台订阅 /events/stats，连接时先收到 snapshot，之后收到增量事件
+//   counters  各状态数量的增量 { uncheck, checking, checked }
+//   client    客户端上线（join）、状态变化（update）、离线（leave），附带该客户端的一行数据
+//   batch     批次分发、完成、归还、过期
+//   found     密码已找到（不含密码）
+const statsSubscribers = new Set();
+const currentBatches = new Map(); // clientId -> 正在处理的批次
+const onlineClients = new Set(); // 本次启动后活动过、且没有超过一个租约时长未联系的客户端
+
+function writeEvent(stream, event, data) {
+  stream.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function publishStats(event, data) {
+  for (const stream of statsSubscribers) {
+    writeEvent(stream, event, data);
+  }
+}
+
+function clientRow(clientId) {
+  const client = clients[clientId] || {};
+  const registered = getRegisteredClientStmt.get(clientId);
+  const batch = currentBatches.get(clientId) || null;
+
+  let status = 'offline';
+  if (onlineClients.has(clientId)) {
+    status = batch ? 'working' : !anyJobActive() || pausedClients.has(clientId) ? 'paused' : 'idle';
+  }
+  if (registered && registered.status !== CLIENT_STATUS.ACTIVE) {
+    status = registered.status;
+  }
+
+  return {
+    clientId,
+    label: client.label || null,
+    status,
+    rate: client.rate || null,
+    processedCount: client.processedCount || 0,
+    currentBatch: batch,
+    lastSeen: client.lastActiveTime || null,
+  };
+}
+
+function publishClient(type, clientId) {
+  if (statsSubscribers.size > 0) {
+    publishStats('client', { type, client: clientRow(clientId) });
+  }
+}
+
+// 更新客户端活动时间，离线后重新出现时推送 join
+function touchClient(clientId) {
+  if (!clients[clientId]) {
+    clients[clientId] = { lastActiveTime: Date.now(), processedCount: 0 };
+  }
+  clients[clientId].lastActiveTime = Date.now();
+
+  if (!onlineClients.has(clientId)) {
+    onlineClients.add(clientId);
+    publishClient('join', clientId);
+  }
+  return clients[clientId];
+}
+
+// 批次分发或结束时推送计数增量、批次事件和客户端的新状态
+function publishBatch(job, type, batch) {
+  if (type === 'issued') {
+    currentBatches.set(batch.client_id, { batchId: batch.id, jobId: job.id, count: batch.count, issuedAt: Date.now() });
+  } else if (currentBatches.has(batch.client_id) && currentBatches.get(batch.client_id).batchId === batch.id) {
+    currentBatches.delete(batch.client_id);
+  }
+
+  if (statsSubscribers.size === 0) {
+    return;
+  }
+
+  const counters = { jobId: job.id, uncheck: 0, checking: 0, checked: 0 };
+  if (type === 'issued') {
+    counters.uncheck = -batch.count;
+    counters.checking = batch.count;
+  } else {
+    counters.checking = -batch.count;
+    counters[type === BATCH_STATUS.COMPLETED ? 'checked' : 'uncheck'] = batch.count;
+  }
+  publishStats('counters', counters);
+  publishStats('batch', { type, jobId: job.id, batchId: batch.id, clientId: batch.client_id, count: batch.count });
+  publishClient('update', batch.client_id);
+}
+
+// 超过一个租约时长没有联系的客户端视为离线
+function checkOnlineClients() {
+  const now = Date.now();
+  for (const clientId of onlineClients) {
+    const client = clients[clientId];
+    if (!client || now - client.lastActiveTime > LEASE_SECONDS * 1000) {
+      onlineClients.delete(clientId);
+      publishClient('leave', clientId);
+    }
+  }
+}
+
+function statsSnapshot() {
+  const stats = getWorkStats();
+  const rows = Object.keys(clients)
+    .map(clientRow)
+    .sort((a, b) => (b.lastSeen || 0) - (a.lastSeen || 0));
+  // 客户端明细单独放在 clients 行里，不重复发送 stats.clients
+  const { clients: _clients, ...summary } = stats || {};
+  return { stats: stats ? summary : null, clients: rows };
+}
+
+// 接管响应，之后由调用方直接写入事件
+function openEventStream(reply) {
+  reply.hijack();
+  const stream = reply.raw;
+  stream.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  return stream;
+}
+
+fastify.get('/events/stats', role(ROLES.VIEWER), async (request, reply) => {
+  const stream = openEventStream(reply);
+  writeEvent(stream, 'snapshot', statsSnapshot());
+  statsSubscribers.add(stream);
+  request.raw.on('close', () => statsSubscribers.delete(stream));
+});
+
+// 控制通道：客户端订阅 /work/control，服务器推送命令，客户端收到后立即中断正在处理的批次，
+// 不必等到下一次 /work/request 才知道密码已找到或需要暂停
+//   stop     退出（密码已找到、客户端被吊销或管理员要求）
+//   pause    归还当前批次并等待 resume，客户端被暂停或没有可分发的任务时 /work/request 不分发批次
+//   resume   恢复领取批次
+//   new-job  有 jobId 时只有正在处理该任务批次的客户端放弃当前批次，空闲的客户端都立即重新领取（任务暂停、找到密码、新建或重置后）
+// 连接时先推送一条与当前状态对应的命令，断线期间错过的命令由此补上
+const CONTROL_COMMANDS = {
+  STOP: 'stop',
+  PAUSE: 'pause',
+  RESUME: 'resume',
+  NEW_JOB: 'new-job',
+};
+const controlStreams = new Map(); // clientId -> Set(stream)
+const pausedClients = new Set(); // 管理员单独暂停的客户端，只保存在内存中
+
+function currentControlCommand(clientId) {
+  if (allJobsFound()) {
+    return [CONTROL_COMMANDS.STOP, { reason: 'password_found' }];
+  }
+  if (pausedClients.has(clientId)) {
+    return [CONTROL_COMMANDS.PAUSE, { reason: 'admin' }];
+  }
+  if (!anyJobActive()) {
+    return [CONTROL_COMMANDS.PAUSE, { reason: 'jobs_paused' }];
+  }
+  return [CONTROL_COMMANDS.RESUME, {}];
+}
+
+/**
+ * 向客户端推送控制命令
+ * @param {string} command - CONTROL_COMMANDS 之一
+ * @param {Object} data - 附加信息，如 { reason }
+ * @param {string|null} clientId - 只发给这个客户端，为空时发给全部
+ * @returns {number} 收到命令的连接数
+ */
+function sendControl(command, data = {}, clientId = null) {
+  const targets = clientId ? [controlStreams.get(clientId) || new Set()] : controlStreams.values();
+  let delivered = 0;
+  for (const streams of targets) {
+    for (const stream of streams) {
+      writeEvent(stream, command, data);
+      delivered += 1;
+    }
+  }
+  return delivered;
+}
+
+function closeControlStreams(clientId) {
+  for (const stream of controlStreams.get(clientId) || []) {
+    stream.end();
+  }
+  controlStreams.delete(clientId);
+}
+
+fastify.get('/work/control', role(ROLES.WORKER), async (request, reply) => {
+  const { clientId } = request.query;
+  if (!clientId) {
+    reply.code(400);
+    return { error: 'clientId is required' };
+  }
+
+  const stream = openEventStream(reply);
+  writeEvent(stream, ...currentControlCommand(clientId));
+
+  if (!controlStreams.has(clientId)) {
+    controlStreams.set(clientId, new Set());
+  }
+  controlStreams.get(clientId).add(stream);
+  request.raw.on('close', () => {
+    const streams = controlStreams.get(clientId);
+    if (streams) {
+      streams.delete(stream);
+      if (streams.size === 0) controlStreams.delete(clientId);
+    }
+  });
+});
+
+// 管理员暂停、恢复单个客户端，或停止客户端（不给 clientId 时停止全部）
+// 暂停整个任务用 /admin/jobs/:id/pause，状态会持久保存
+fastify.post('/admin/control/:command', role(ROLES.ADMIN), async (request, reply) => {
+  const { command } = request.params;
+  const { clientId, reason } = request.body || {};
+  if (![CONTROL_COMMANDS.STOP, CONTROL_COMMANDS.PAUSE, CONTROL_COMMANDS.RESUME].includes(command)) {
+    reply.code(404);
+    return { error: `unknown command: ${command}` };
+  }
+  if (command !== CONTROL_COMMANDS.STOP && !clientId) {
+    reply.code(400);
+    return { error: `clientId is required, use /admin/jobs/:id/${command} for a whole job` };
+  }
+
+  if (command === CONTROL_COMMANDS.PAUSE) {
+    pausedClients.add(clientId);
+  } else if (command === CONTROL_COMMANDS.RESUME) {
+    pausedClients.delete(clientId);
+  }
+
+  const delivered = sendControl(command, { reason: reason || 'admin' }, clientId || null);
+  fastify.log.info(`管理员发送 ${command} 命令到${clientId ? `客户端 ${clientId}` : '全部客户端'}，${delivered} 个连接收到`);
+  for (const id of clientId ? [clientId] : Object.keys(clients)) {
+    publishClient('update', id);
+  }
+  return { success: true, command, clientId: clientId || null, delivered };
+});
+
+function jobStatus(job) {
+  return {
+    id: job.id,
+    name: job.name,
+    state: job.state,
+    reason: job.reason,
+    changedAt: job.changedAt,
+    passwordFound: job.found,
+    priority: job.priority,
+    weight: job.weight,
+  };
+}
+
+// 任务状态加上钱包、数据库和进度，供 /admin/jobs、/work/stats 和控制台使用
+function jobSummary(job, stats = getJobStats(job)) {
+  return {
+    ...jobStatus(job),
+    wallet: describeEncrypt(job.encrypt),
+    database: job.dbName,
+    resetAllowed: job.dbName === SAMPLE_DB_NAME,
+    activeBatches: job.store.countActiveBatches(),
+    ...stats,
+  };
+}
+
+// 没有运行中或排空中的任务时暂停客户端，重新有任务时恢复；全部找到后由 announcePasswordFound 通知停止
+// 排空中的任务不再分发新批次，但客户端要把手上的批次做完提交，不能暂停，领取时只会得到“没有任务”
+// 排空结束转为 paused 后才暂停
+let jobsActive = true;
+
+function isJobActive(job) {
+  return !job.found && (job.state === JOB_STATES.RUNNING || job.state === JOB_STATES.DRAINING);
+}
+
+function anyJobActive() {
+  return [...jobs.values()].some(isJobActive);
+}
+
+function syncJobsActive() {
+  const runnable = anyJobActive();
+  if (runnable === jobsActive) {
+    return;
+  }
+  jobsActive = runnable;
+  if (allJobsFound()) {
+    return;
+  }
+  for (const clientId of controlStreams.keys()) {
+    if (!pausedClients.has(clientId)) {
+      sendControl(...currentControlCommand(clientId), clientId);
+    }
+  }
+}
+
+// 任务状态变化后同步客户端的暂停状态，并推送到控制台
+function publishJob(job) {
+  syncJobsActive();
+  if (statsSubscribers.size > 0) {
+    publishStats('job', jobSummary(job));
+  }
+  for (const clientId of onlineClients) {
+    publishClient('update', clientId);
+  }
+}
+
+// 正在处理这个任务批次的客户端放弃当前批次，重新领取时会分到其他任务
+function interruptJobClients(job, reason) {
+  let delivered = 0;
+  for (const [clientId, current] of currentBatches) {
+    if (current.jobId === job.id) {
+      delivered += sendControl(CONTROL_COMMANDS.NEW_JOB, { reason, jobId: job.id }, clientId);
+    }
+  }
+  return delivered;
+}
+
+// 任务有新的候选可分发时，让空闲等待中的客户端立即重新领取
+function wakeIdleClients(job, reason) {
+  let delivered = 0;
+  for (const clientId of controlStreams.keys()) {
+    if (!currentBatches.has(clientId)) {
+      delivered += sendControl(CONTROL_COMMANDS.NEW_JOB, { reason, jobId: job.id }, clientId);
+    }
+  }
+  return delivered;
+}
+
+/**
+ * 修改并保存任务状态，通知客户端和控制台
+ * @param {Object} job - 任务
+ * @param {string} state - JOB_STATES 之一
+ * @param {string|null} reason - 原因，会随 /work/request 的响应告诉客户端
+ */
+function setJobState(job, state, reason = null) {
+  const previous = job.state;
+  setJobStateStmt.run(state, reason, job.id);
+  const row = getJobRowStmt.get(job.id);
+  job.state = row.state;
+  job.reason = row.reason;
+  job.changedAt = row.changed_at * 1000;
+  fastify.log.info(`任务 ${job.id} 状态 ${previous} -> ${state}${reason ? `（${reason}）` : ''}`);
+
+  if (state === JOB_STATES.PAUSED) {
+    interruptJobClients(job, 'job_paused');
+  } else if (state === JOB_STATES.RUNNING && previous !== JOB_STATES.RUNNING) {
+    wakeIdleClients(job, 'job_resumed');
+  }
+  publishJob(job);
+
+  if (state === JOB_STATES.DRAINING) {
+    checkDrained(job);
+  }
+}
+
+// 排空中的任务在最后一个批次结束后转为暂停
+function checkDrained(job) {
+  if (job.state === JOB_STATES.DRAINING && job.store.countActiveBatches() === 0) {
+    setJobState(job, JOB_STATES.PAUSED, 'drained');
+  }
+}
+
+// 校验优先级和权重：优先级是整数，越大越先分发；权重是同一优先级内轮询分配的比例
+function parseJobPriority(body, current = { priority: 0, weight: 1 }) {
+  const priority = body.priority === undefined ? current.priority : Number(body.priority);
+  const weight = body.weight === undefined ? current.weight : Number(body.weight);
+  if (!Number.isInteger(priority)) {
+    return { error: 'priority must be an integer' };
+  }
+  if (!Number.isInteger(weight) || weight < 1 || weight > 1000) {
+    return { error: 'weight must be an integer between 1 and 1000' };
+  }
+  return { priority, weight };
+}
 
-fastify.get('/count', async () => {
-  const { count } = countStmt.get();
-  return { count };
+fastify.get('/admin/jobs', role(ROLES.ADMIN), async () => {
+  return { jobs: [...jobs.values()].map((job) => jobSummary(job)) };
 });
 
-fastify.get('/records/:id', async (request, reply) => {
-  const id = Number(request.params.id);
-  if (!Number.isInteger(id) || id <= 0) {
+// 新建任务：dbName 是 data/ 下已经生成好的候选库，encrypt 与 encrypt.json 格式相同
+fastify.post('/admin/jobs', role(ROLES.ADMIN), async (request, reply) => {
+  const body = request.body || {};
+  const { id, name, dbName, encrypt } = body;
+  if (typeof id !== 'string' || !JOB_ID_PATTERN.test(id)) {
     reply.code(400);
-    return { error: 'id must be a positive integer' };
+    return { error: 'id must be 1-32 letters, digits, "-" or "_"' };
   }
-  const record = getStmt.get(id);
-  if (!record) {
-    reply.code(404);
-    return { error: 'record not found' };
+  if (jobs.has(id) || getJobRowStmt.get(id)) {
+    reply.code(409);
+    return { error: 'job already exists' };
   }
-  return {
-    id: record.id,
-    pwd: record.pwd,
-    status: record.status,
-  };
-});
-
-fastify.get('/records/random', async () => {
-  const record = randomStmt.get();
-  if (!record) {
-    return { error: 'no data' };
+  if (typeof dbName !== 'string' || !dbName || path.basename(dbName) !== dbName) {
+    reply.code(400);
+    return { error: 'dbName must be a file name in the data directory' };
   }
-  return {
-    id: record.id,
-    pwd: record.pwd,
-    status: record.status,
-  };
-});
-
-fastify.get('/records/by-pwd/:pwd', async (request, reply) => {
-  const { pwd } = request.params;
-  if (typeof pwd !== 'string' || !pwd) {
+  if (!fs.existsSync(path.join(__dirname, 'data', dbName))) {
     reply.code(400);
-    return { error: 'pwd must be a non-empty string' };
+    return { error: `database file not found: data/${dbName}` };
+  }
+  const owner = [...jobs.values()].find((job) => job.dbName === dbName);
+  if (owner) {
+    reply.code(409);
+    return { error: `database is already used by job ${owner.id}` };
+  }
+  if (!isValidEncrypt(encrypt)) {
+    reply.code(400);
+    return { error: 'encrypt is invalid or the wallet type is not supported' };
+  }
+  const weights = parseJobPriority(body);
+  if (weights.error) {
+    reply.code(400);
+    return { error: weights.error };
   }
 
-  const record = getByPwdStmt.get(pwd);
-  if (!record) {
-    reply.code(404);
-    return { error: 'record not found' };
+  insertJobStmt.run(id, name || null, dbName, JSON.stringify(encrypt), weights.priority, weights.weight, JOB_STATES.RUNNING, null);
+  let job;
+  try {
+    job = openJob(getJobRowStmt.get(id));
+  } catch (error) {
+    deleteJobStmt.run(id);
+    reply.code(400);
+    return { error: `cannot open database: ${error.message}` };
   }
 
-  return {
-    id: record.id,
-    pwd: record.pwd,
-    status: record.status,
-  };
+  fastify.log.info(`新建任务 ${job.id}（${describeEncrypt(job.encrypt)}，数据库 ${dbName}，优先级 ${job.priority}，权重 ${job.weight}）`);
+  publishJob(job);
+  wakeIdleClients(job, 'job_created');
+  return { success: true, job: jobSummary(job) };
 });
 
-// 分发密码给客户端
-fastify.post('/work/request', async (request, reply) => {
-  const { cpuCount = 1, clientId } = request.body;
+// 修改任务的名称、优先级或权重，下一次分发立即生效
+fastify.post('/admin/jobs/:id/priority', role(ROLES.ADMIN), async (request, reply) => {
+  const job = getJob(request.params.id);
+  if (!job) {
+    reply.code(404);
+    return { error: 'job not found' };
+  }
 
-  if (!clientId) {
+  const body = request.body || {};
+  const weights = parseJobPriority(body, job);
+  if (weights.error) {
     reply.code(400);
-    return { error: 'clientId is required' };
+    return { error: weights.error };
   }
 
-  // 记录客户端活动时间，只更新 lastActiveTime 保留 processedCount
-  if (!clients[clientId]) {
-    clients[clientId] = { lastActiveTime: Date.now(), processedCount: 0 };
-  } else {
-    clients[clientId].lastActiveTime = Date.now();
-  }
+  const name = body.name === undefined ? job.name : body.name || job.id;
+  setJobPriorityStmt.run(name, weights.priority, weights.weight, job.id);
+  Object.assign(job, { name, priority: weights.priority, weight: weights.weight, roundRobin: 0 });
+  fastify.log.info(`任务 ${job.id} 优先级改为 ${job.priority}，权重 ${job.weight}`);
+  publishJob(job);
+  return { success: true, job: jobStatus(job) };
+});
 
-  // 如果密码已找到，停止分发新任务
-  if (passwordFound) {
-    return {
-      success: false,
-      message: 'Password already found, no more work needed',
-      passwords: [],
-      encrypt: null,
-      passwordFound: true,
-    };
+// 暂停、恢复或排空一个任务，body 中可给出 reason
+fastify.post('/admin/jobs/:id/:action', role(ROLES.ADMIN), async (request, reply) => {
+  const job = getJob(request.params.id);
+  if (!job) {
+    reply.code(404);
+    return { error: 'job not found' };
+  }
+  const state = JOB_ACTIONS[request.params.action];
+  if (!state) {
+    reply.code(404);
+    return { error: `unknown action: ${request.params.action}` };
   }
 
-  // 计算批次大小，基于CPU核心数
-  const batchSize = Math.max(100, cpuCount * 100);
-
-  // 获取未检查的密码
-  const getUncheckedStmt = db.prepare(`
-    SELECT id, pwd FROM records 
-    WHERE status = ? 
-    ORDER BY id 
-    LIMIT ?
-  `);
+  const { reason } = request.body || {};
+  setJobState(job, state, reason || null);
+  return { success: true, ...jobStatus(job), activeBatches: job.store.countActiveBatches() };
+});
 
-  try {
-    const passwords = getUncheckedStmt.all(STATUS.UNCHECK, batchSize);
+// 运行时注入候选：请求校验后排队，在后台逐个执行；每写入一块让出事件循环，分发和心跳不受影响
+// 重新排序也在这个队列里执行，进度同样通过 /admin/injections 查询
+// 进度只保存在内存中，服务器重启后中断的注入需要重新提交（已写入的部分会被去重）
+const INJECT_CHUNK_SIZE = 5000;
+const INJECTION_HISTORY = 100;
+const INJECTION_STATES = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed',
+};
+const injections = new Map(); // id -> 注入进度，按提交顺序
+const injectionQueue = [];
+let injecting = false;
 
-    if (passwords.length === 0) {
-      return {
-        success: false,
-        message: 'No more passwords to check',
-        passwords: [],
-        encrypt: null,
-      };
-    }
+function injectionStatus(injection) {
+  const { plan, wokeClients, ...status } = injection;
+  return status;
+}
 
-    // 更新状态为CHECKING - 动态生成SQL
-    const ids = passwords.map((p) => p.id);
-    const updateStatusStmt = db.prepare(`
-      UPDATE records 
-      SET status = ?, updated_at = strftime('%s', 'now') 
-      WHERE id IN (${Array(ids.length).fill('?').join(',')})
-    `);
-    updateStatusStmt.run(STATUS.CHECKING, ...ids);
+function publishInjection(injection) {
+  if (statsSubscribers.size > 0) {
+    publishStats('injection', injectionStatus(injection));
+  }
+}
 
-    fastify.log.info(`分发 ${passwords.length} 个密码给客户端 ${clientId}`);
+// 新候选计入统计缓存和对应的优先级档，不必重新做全表计数
+function addToStatsCache(job, count, priority) {
+  const { stats } = job.cache;
+  if (!stats || count <= 0) {
+    return;
+  }
+  stats.total += count;
+  stats.uncheck += count;
+  let tier = stats.tiers.find((item) => item.priority === priority);
+  if (!tier) {
+    tier = { priority, uncheck: 0, checking: 0, checked: 0, total: 0 };
+    stats.tiers.push(tier);
+    stats.tiers.sort((a, b) => b.priority - a.priority);
+  }
+  tier.total += count;
+  tier.uncheck += count;
+}
 
-    return {
-      success: true,
-      passwords: passwords.map((p) => p.pwd),
-      encrypt,
-      batchId: `${clientId}-${Date.now()}`,
-      count: passwords.length,
-    };
-  } catch (error) {
-    fastify.log.error('分发密码时出错:', error);
-    console.error('分发密码时出错:', error);
-    reply.code(500);
-    return { error: 'Internal server error' };
+// 写入一块之后：更新进度，第一次写入新候选时唤醒空闲的客户端
+function applyInjectionResult(injection, job, result) {
+  injection.inserted += result.inserted;
+  injection.promoted += result.promoted;
+  injection.duplicate += result.duplicate;
+  addToStatsCache(job, result.inserted, injection.priority);
+  if ((result.inserted > 0 || result.promoted > 0) && !injection.wokeClients) {
+    injection.wokeClients = true;
+    job.queueExhausted = false;
+    wakeIdleClients(job, 'candidates_injected');
   }
-});
+  publishInjection(injection);
+}
 
-// 接收碰撞结果
-fastify.post('/work/result', async (request, reply) => {
-  const { batchId, success, foundPassword, passwords, clientId } = request.body;
+async function runInjection(injection) {
+  const job = getJob(injection.jobId);
+  injection.state = INJECTION_STATES.RUNNING;
+  injection.startedAt = Date.now();
+  publishInjection(injection);
+
+  const { plan } = injection;
+  if (plan.kind === 'rerank') {
+    await runRerank(injection, job);
+  } else if (plan.keyspace && (!plan.chunks || job.store.hasKeyspace(plan.keyspace.mask))) {
+    // 已登记的掩码不再展开，否则展开的记录会与密钥空间里的候选重复
+    const result = job.store.injectKeyspace(plan.keyspace.mask, plan.keyspace.total, injection.priority);
+    injection.processed = plan.keyspace.total;
+    applyInjectionResult(injection, job, result);
+  } else {
+    for (const { passwords, rejected } of plan.chunks(INJECT_CHUNK_SIZE)) {
+      // 服务器关闭时数据库连接随后就会关闭，不再继续写入
+      if (shuttingDown) {
+        throw new Error('server is shutting down');
+      }
+      const result = job.store.injectPasswords(passwords, injection.priority);
+      injection.processed += passwords.length + rejected;
+      injection.rejected += rejected;
+      applyInjectionResult(injection, job, result);
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+  }
+}
 
-  if (!batchId || !clientId) {
-    reply.code(400);
-    return { error: 'batchId and clientId are required' };
+// 重新排序：先更新密钥空间，再按 id 分块更新尚未检查的记录，进度按记录 id 计
+async function runRerank(injection, job) {
+  const { plan } = injection;
+  injection.reranked += job.store.rerankKeyspaces(plan.mask);
+  injection.total = job.store.maxRecordId();
+  publishInjection(injection);
+
+  let afterId = 0;
+  while (true) {
+    if (shuttingDown) {
+      throw new Error('server is shutting down');
+    }
+    const { lastId, changed } = job.store.rerankRecords(afterId, INJECT_CHUNK_SIZE, plan.password);
+    if (lastId === null) break;
+    afterId = lastId;
+    injection.processed = lastId;
+    injection.reranked += changed;
+    publishInjection(injection);
+    await new Promise((resolve) => setImmediate(resolve));
   }
+  injection.processed = injection.total;
+  // 各优先级档的数量都变了，下次统计时重新全表计数
+  job.cache.stats = null;
+}
 
+async function runInjectionQueue() {
+  if (injecting) return;
+  injecting = true;
   try {
-    if (success && foundPassword) {
-      // 找到密码了！设置全局标记
-      passwordFound = true;
-
-      fastify.log.info(`🎉 密码找到了！客户端 ${clientId} 找到密码: ${foundPassword}`);
-
-      // 保存结果到文件
-      const resultFile = path.join(__dirname, 'found_password.txt');
-      const result = `找到密码: ${foundPassword}\n时间: ${new Date().toISOString()}\n客户端: ${clientId}\n`;
-      await fs.promises.appendFile(resultFile, result);
-
-      // 停止所有工作
-      return {
-        success: true,
-        message: 'Password found! All work stopped!',
-        shouldStop: true,
-        passwordFound: true,
-      };
-    } else {
-      // 没找到密码，标记这批密码为已检查
-      if (passwords && passwords.length > 0) {
-        const updateStmt = db.prepare(`
-          UPDATE records 
-          SET status = ?, updated_at = strftime('%s', 'now') 
-          WHERE pwd = ?
-        `);
-
-        const updateMany = db.transaction((pwds) => {
-          for (const pwd of pwds) {
-            updateStmt.run(STATUS.CHECKED, pwd);
-          }
-        });
-
-        updateMany(passwords);
-
-        // 更新客户端已处理的密码计数
-        if (!clients[clientId]) {
-          clients[clientId] = { lastActiveTime: Date.now(), processedCount: 0 };
+    while (injectionQueue.length > 0) {
+      const injection = injectionQueue.shift();
+      try {
+        await runInjection(injection);
+        injection.state = INJECTION_STATES.DONE;
+        if (injection.kind === 'rerank') {
+          fastify.log.info(`任务 ${injection.jobId} 重新排序 ${injection.description} 完成：${injection.reranked} 个候选的优先级有变化`);
+        } else {
+          fastify.log.info(
+            `任务 ${injection.jobId} 注入 ${injection.description} 完成：新增 ${injection.inserted}，提升优先级 ${injection.promoted}，重复 ${injection.duplicate}，拒绝 ${injection.rejected}`,
+          );
         }
-        clients[clientId].processedCount += passwords.length;
-        clients[clientId].lastActiveTime = Date.now();
-
-        fastify.log.info(`客户端 ${clientId} 完成 ${passwords.length} 个密码检查，累计处理: ${clients[clientId].processedCount}`);
+      } catch (error) {
+        injection.state = INJECTION_STATES.FAILED;
+        injection.error = error.message;
+        fastify.log.error(`任务 ${injection.jobId} 注入 ${injection.description} 失败: ${error.message}`);
       }
-
-      return {
-        success: true,
-        message: 'Results recorded',
-      };
+      injection.finishedAt = Date.now();
+      injection.plan = null;
+      publishInjection(injection);
+      const job = getJob(injection.jobId);
+      if (job) publishJob(job);
     }
-  } catch (error) {
-    fastify.log.error('处理碰撞结果时出错:', error);
-    reply.code(500);
-    return { error: 'Internal server error' };
+  } finally {
+    injecting = false;
   }
-});
-
-// 报告找到的密码（持续重试）
-fastify.post('/work/found', async (request, reply) => {
-  const { password, clientId } = request.body;
+}
 
-  if (!password || !clientId) {
-    reply.code(400);
-    return { error: 'password and clientId are required' };
+// 注入和重新排序共用一个队列，按提交顺序逐个执行
+function queueInjection(job, plan, priority) {
+  const injection = {
+    id: crypto.randomUUID(),
+    jobId: job.id,
+    kind: plan.kind,
+    description: plan.description,
+    priority,
+    state: INJECTION_STATES.QUEUED,
+    total: plan.total || 0,
+    processed: 0,
+    inserted: 0,
+    promoted: 0,
+    duplicate: 0,
+    rejected: 0,
+    reranked: 0,
+    error: null,
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+    plan,
+    wokeClients: false,
+  };
+  injections.set(injection.id, injection);
+  // 只保留最近的记录，不删除还没执行完的
+  for (const [id, old] of injections) {
+    if (injections.size <= INJECTION_HISTORY) break;
+    if (old.finishedAt) injections.delete(id);
   }
 
-  try {
-    // 设置全局标记
-    passwordFound = true;
-
-    fastify.log.info(`🎉🎉🎉 密码确认找到！客户端 ${clientId}: ${password}`);
-
-    // 保存到文件
-    const resultFile = path.join(__dirname, 'found_password.txt');
-    const result = `确认找到密码: ${password}\n时间: ${new Date().toISOString()}\n客户端: ${clientId}\n重复确认: 是\n\n`;
-    await fs.promises.appendFile(resultFile, result);
+  injectionQueue.push(injection);
+  publishInjection(injection);
+  runInjectionQueue();
+  return injection;
+}
 
-    return {
-      success: true,
-      message: 'Password confirmed and saved',
-      passwordFound: true,
-    };
-  } catch (error) {
-    fastify.log.error('保存找到的密码时出错:', error);
-    reply.code(500);
-    return { error: 'Internal server error' };
+// 注入候选：body 为 passwords、mask、rules + words 之一（见 inject.js），priority 缺省时插到队首
+fastify.post('/admin/jobs/:id/candidates', role(ROLES.ADMIN), async (request, reply) => {
+  const job = getJob(request.params.id);
+  if (!job) {
+    reply.code(404);
+    return { error: 'job not found' };
+  }
+  if (job.found) {
+    reply.code(409);
+    return { error: 'password already found for this job' };
   }
-});
 
-// 重置密码找到状态 - 仅限样本数据库
-fastify.post('/work/reset-found', async (request, reply) => {
+  const body = request.body || {};
+  const priority = body.priority === undefined ? PRIORITY.INJECTED : Number(body.priority);
+  if (!Number.isInteger(priority)) {
+    reply.code(400);
+    return { error: 'priority must be an integer' };
+  }
+  let plan;
   try {
-    fastify.log.info('收到重置密码找到状态的请求');
+    plan = planInjection(body);
+  } catch (error) {
+    reply.code(400);
+    return { error: error.message };
+  }
 
-    // 安全检查：只有使用样本数据库才允许重置
-    if (DB_NAME !== 'lucky-sample.db') {
-      fastify.log.warn(`拒绝重置请求：当前数据库 ${DB_NAME} 不是样本数据库`);
-      reply.code(403);
-      return {
-        error: 'Reset is only allowed for sample database (lucky-sample.db)',
-        currentDatabase: DB_NAME,
-        allowed: false,
-      };
-    }
+  fastify.log.info(`任务 ${job.id} 排队注入 ${plan.description}（约 ${plan.total} 个候选，优先级 ${priority}）`);
+  const injection = queueInjection(job, plan, priority);
+  reply.code(202);
+  return { success: true, injection: injectionStatus(injection) };
+});
 
-    const foundPasswordFile = path.join(__dirname, 'found_password.txt');
-    let previouslyFound = false;
+// 运行时重新排序尚未检查的候选：body 为 { weights } 按默认规则重新计分（替换生成时的单词权重），或 { pattern, priority } 按通配符设定优先级（见 priority.js）
+fastify.post('/admin/jobs/:id/rerank', role(ROLES.ADMIN), async (request, reply) => {
+  const job = getJob(request.params.id);
+  if (!job) {
+    reply.code(404);
+    return { error: 'job not found' };
+  }
 
-    if (fs.existsSync(foundPasswordFile)) {
-      previouslyFound = true;
-      // 备份原文件
-      const backupFile = path.join(__dirname, `found_password_backup_${Date.now()}.txt`);
-      await fs.promises.copyFile(foundPasswordFile, backupFile);
-      await fs.promises.unlink(foundPasswordFile);
-      fastify.log.info(`密码找到状态已重置，原文件备份为: ${backupFile}`);
-    }
+  let plan;
+  try {
+    plan = planRerank(request.body || {});
+  } catch (error) {
+    reply.code(400);
+    return { error: error.message };
+  }
 
-    // 重置全局状态
-    passwordFound = false;
-    fastify.log.info('全局密码找到状态已重置为false');
+  fastify.log.info(`任务 ${job.id} 排队重新排序 ${plan.description}`);
+  const injection = queueInjection(job, plan, null);
 
-    // 将所有记录状态重置为UNCHECK
-    const resetAllStmt = db.prepare(`
-      UPDATE records 
-      SET status = ?, updated_at = strftime('%s', 'now')
-    `);
+  reply.code(202);
+  return { success: true, injection: injectionStatus(injection), warning: plan.warning };
+});
 
-    const result = resetAllStmt.run(STATUS.UNCHECK);
+fastify.get('/admin/injections', role(ROLES.ADMIN), async () => {
+  return { injections: [...injections.values()].reverse().map(injectionStatus) };
+});
 
-    fastify.log.info(`已将 ${result.changes} 条记录状态重置为UNCHECK`);
+fastify.get('/admin/injections/:id', role(ROLES.ADMIN), async (request, reply) => {
+  const injection = injections.get(request.params.id);
+  if (!injection) {
+    reply.code(404);
+    return { error: 'injection not found' };
+  }
+  return injectionStatus(injection);
+});
 
-    return {
-      success: true,
-      message: 'Password found status and all records reset, search can restart',
-      previouslyFound,
-      recordsReset: result.changes,
-      database: DB_NAME,
-    };
-  } catch (error) {
-    fastify.log.error('重置密码找到状态时出错:', error);
-    reply.code(500);
-    return { error: 'Internal server error' };
+// 关闭服务器前结束所有推送连接，否则 fastify.close() 会一直等待
+fastify.addHook('preClose', async () => {
+  for (const stream of statsSubscribers) {
+    stream.end();
+  }
+  statsSubscribers.clear();
+  for (const clientId of [...controlStreams.keys()]) {
+    closeControlStreams(clientId);
   }
 });
 
-// 重置超时的检查状态
-fastify.post('/work/reset-timeout', async (request, reply) => {
+// 定时任务：每15秒检查离线客户端，并给推送连接发送心跳注释，防止代理断开空闲连接
+// 同时推送各任务的最新统计，控制台的优先级覆盖情况随之刷新（大数据库按缓存周期更新）
+setInterval(() => {
   try {
-    const resetStmt = db.prepare(`
-      UPDATE records 
-      SET status = ?, updated_at = strftime('%s', 'now')
-      WHERE status = ? 
-      AND updated_at < strftime('%s', 'now') - 3600
-    `);
-
-    const result = resetStmt.run(STATUS.UNCHECK, STATUS.CHECKING);
-
-    if (result.changes > 0) {
-      fastify.log.info(`重置了 ${result.changes} 个超时的检查状态`);
+    checkOnlineClients();
+    for (const stream of statsSubscribers) {
+      stream.write(': ping\n\n');
+    }
+    if (statsSubscribers.size > 0) {
+      for (const job of jobs.values()) {
+        publishStats('job', jobSummary(job));
+      }
+    }
+    for (const streams of controlStreams.values()) {
+      for (const stream of streams) {
+        stream.write(': ping\n\n');
+      }
     }
-
-    return {
-      success: true,
-      resetCount: result.changes,
-      message: `Reset ${result.changes} timed out checking records`,
-    };
   } catch (error) {
-    fastify.log.error('重置超时状态时出错:', error);
-    reply.code(500);
-    return { error: 'Internal server error' };
+    fastify.log.error('推送心跳时出错:', error);
   }
-});
-
-// 获取工作状态统计
-let cacheStats = null;
-let isUpdatingStats = false;
+}, 15 * 1000);
 
 // 计算缓存时间（毫秒）
 function calculateCacheTime(totalCount) {
@@ -447,130 +1969,106 @@ function persistClientsData() {
   }
 }
 
-fastify.get('/work/stats', async (request, reply) => {
-  try {
-    // 检查缓存是否有效
-    if (cacheStats) {
-      const cacheTime = calculateCacheTime(cacheStats.total);
-      if (cacheTime > 0 && Date.now() - cacheStats.updated_at < cacheTime) {
-        fastify.log.info(`返回缓存的统计信息 (总记录数: ${cacheStats.total.toLocaleString()})`);
-
-        // 计算 clients 中已处理的密码总数
-        const totalProcessed = Object.values(clients).reduce((sum, client) => sum + (client.processedCount || 0), 0);
-
-        // 重新计算统计数据
-        const checked = totalProcessed;
-        const uncheck = cacheStats.total - totalProcessed;
-        const checking = 0;
-        const progress = cacheStats.total > 0 ? ((checked / cacheStats.total) * 100).toFixed(2) : 0;
-
-        // 添加客户端信息和运行时长（实时数据，不缓存）
-        const uptime = Math.floor((Date.now() - startupTime) / 1000);
-
-        return {
-          uncheck,
-          checking,
-          checked,
-          total: cacheStats.total,
-          progress,
-          passwordFound: cacheStats.passwordFound,
-          database: cacheStats.database,
-          resetAllowed: cacheStats.resetAllowed,
-          tokenRequired: cacheStats.tokenRequired,
-          clients,
-          updated_at: cacheStats.updated_at,
-          uptime,
-          uptimeFormatted: formatUptime(uptime),
-        };
-      }
-    }
+// 缓存只保存耗时的全表计数：检查中的数量取自活动批次，已检查的数量加上缓存之后完成的批次
+function statsFromCache(job) {
+  const { stats, completedBase } = job.cache;
+  const checking = job.store.sumBatchCount(BATCH_STATUS.ACTIVE);
+  const completedSince = Math.max(0, job.store.sumBatchCount(BATCH_STATUS.COMPLETED) - completedBase);
+  const checked = Math.min(stats.total - checking, stats.checked + completedSince);
+  const uncheck = stats.total - checked - checking;
+  const progress = stats.total > 0 ? ((checked / stats.total) * 100).toFixed(2) : 0;
+
+  // 各优先级档的数量只在全表计数时更新
+  return { uncheck, checking, checked, total: stats.total, progress, tiers: stats.tiers, updated_at: stats.updated_at };
+}
 
-    // 如果正在更新统计信息，直接返回缓存结果（如果有的话）
-    if (isUpdatingStats) {
-      fastify.log.info('统计信息正在更新中，返回缓存结果');
-      if (cacheStats) {
-        // 计算 clients 中已处理的密码总数
-        const totalProcessed = Object.values(clients).reduce((sum, client) => sum + (client.processedCount || 0), 0);
-
-        // 重新计算统计数据
-        const checked = totalProcessed;
-        const uncheck = cacheStats.total - totalProcessed;
-        const checking = 0;
-        const progress = cacheStats.total > 0 ? ((checked / cacheStats.total) * 100).toFixed(2) : 0;
-
-        const uptime = Math.floor((Date.now() - startupTime) / 1000);
-
-        return {
-          uncheck,
-          checking,
-          checked,
-          total: cacheStats.total,
-          progress,
-          passwordFound: cacheStats.passwordFound,
-          database: cacheStats.database,
-          resetAllowed: cacheStats.resetAllowed,
-          tokenRequired: cacheStats.tokenRequired,
-          clients,
-          updated_at: cacheStats.updated_at,
-          uptime,
-          uptimeFormatted: formatUptime(uptime),
-        };
-      }
-      return { error: 'Statistics are being updated, please try again later' };
+// 统计一个任务各状态的密码数量，缓存有效时只做增量修正；正在更新且没有缓存时返回 null
+function getJobStats(job) {
+  const { cache } = job;
+
+  // 检查缓存是否有效
+  if (cache.stats) {
+    const cacheTime = calculateCacheTime(cache.stats.total);
+    if (cacheTime > 0 && Date.now() - cache.stats.updated_at < cacheTime) {
+      fastify.log.debug(`返回任务 ${job.id} 缓存的统计信息 (总记录数: ${cache.stats.total.toLocaleString()})`);
+      return statsFromCache(job);
     }
+  }
 
-    // 设置更新标志
-    isUpdatingStats = true;
+  // 如果正在更新统计信息，直接返回缓存结果（如果有的话）
+  if (cache.updating) {
+    fastify.log.info(`任务 ${job.id} 的统计信息正在更新中，返回缓存结果`);
+    return cache.stats ? statsFromCache(job) : null;
+  }
 
-    try {
-      const statsStmt = db.prepare('SELECT status, COUNT(*) as count FROM records GROUP BY status');
-      const stats = statsStmt.all();
-      const summary = {
-        uncheck: 0,
-        checking: 0,
-        checked: 0,
-        total: 0,
-      };
+  // 设置更新标志
+  cache.updating = true;
 
-      for (const stat of stats) {
-        summary.total += stat.count;
-        if (stat.status === STATUS.UNCHECK) summary.uncheck = stat.count;
-        if (stat.status === STATUS.CHECKING) summary.checking = stat.count;
-        if (stat.status === STATUS.CHECKED) summary.checked = stat.count;
-      }
+  try {
+    const summary = job.store.countByStatus();
+    summary.progress = summary.total > 0 ? ((summary.checked / summary.total) * 100).toFixed(2) : 0;
+    summary.updated_at = Date.now(); // 添加更新时间戳
+
+    // 更新缓存，同时记下此刻已完成批次的总数，之后的增量由 statsFromCache 补上
+    cache.stats = summary;
+    cache.completedBase = job.store.sumBatchCount(BATCH_STATUS.COMPLETED);
+
+    const cacheTime = calculateCacheTime(summary.total);
+    if (cacheTime > 0) {
+      const cacheMinutes = Math.floor(cacheTime / (60 * 1000));
+      fastify.log.info(`任务 ${job.id} 的统计信息已缓存 ${cacheMinutes} 分钟 (总记录数: ${summary.total.toLocaleString()})`);
+    } else {
+      fastify.log.debug(`任务 ${job.id} 的统计信息未缓存，实时更新 (总记录数: ${summary.total.toLocaleString()})`);
+    }
 
-      summary.progress = summary.total > 0 ? ((summary.checked / summary.total) * 100).toFixed(2) : 0;
-      summary.passwordFound = passwordFound;
-      summary.database = DB_NAME;
-      summary.resetAllowed = DB_NAME === 'lucky-sample.db';
-      summary.tokenRequired = !!API_TOKEN;
+    return summary;
+  } finally {
+    // 清除更新标志
+    cache.updating = false;
+  }
+}
 
-      // 添加客户端信息
-      summary.clients = clients;
+// 汇总全部任务的统计，jobs 字段给出每个任务的明细；有任务正在更新且没有缓存时返回 null
+function getWorkStats() {
+  const summary = { uncheck: 0, checking: 0, checked: 0, total: 0 };
+  const jobSummaries = [];
+  let updatedAt = Date.now();
 
-      summary.updated_at = Date.now(); // 添加更新时间戳
+  for (const job of jobs.values()) {
+    const stats = getJobStats(job);
+    if (!stats) {
+      return null;
+    }
+    summary.uncheck += stats.uncheck;
+    summary.checking += stats.checking;
+    summary.checked += stats.checked;
+    summary.total += stats.total;
+    updatedAt = Math.min(updatedAt, stats.updated_at);
+    jobSummaries.push(jobSummary(job, stats));
+  }
 
-      // 计算系统运行时长（单位：秒）
-      const uptime = Math.floor((Date.now() - startupTime) / 1000);
-      summary.uptime = uptime;
-      summary.uptimeFormatted = formatUptime(uptime); // 格式化的运行时长
+  summary.progress = summary.total > 0 ? ((summary.checked / summary.total) * 100).toFixed(2) : 0;
+  summary.passwordFound = allJobsFound();
+  summary.database = DB_NAME;
+  summary.resetAllowed = jobSummaries.some((job) => job.resetAllowed);
+  summary.tokenRequired = !!API_TOKEN;
+  summary.jobs = jobSummaries;
 
-      // 更新缓存
-      cacheStats = summary;
+  // 客户端信息和运行时长是实时数据，不缓存
+  summary.clients = clients;
+  summary.updated_at = updatedAt;
 
-      const cacheTime = calculateCacheTime(summary.total);
-      if (cacheTime > 0) {
-        const cacheMinutes = Math.floor(cacheTime / (60 * 1000));
-        fastify.log.info(`统计信息已缓存 ${cacheMinutes} 分钟 (总记录数: ${summary.total.toLocaleString()})`);
-      } else {
-        fastify.log.info(`统计信息未缓存，实时更新 (总记录数: ${summary.total.toLocaleString()})`);
-      }
+  // 计算系统运行时长（单位：秒）
+  const uptime = Math.floor((Date.now() - startupTime) / 1000);
+  summary.uptime = uptime;
+  summary.uptimeFormatted = formatUptime(uptime); // 格式化的运行时长
 
-      return summary;
-    } finally {
-      // 清除更新标志
-      isUpdatingStats = false;
-    }
+  return summary;
+}
+
+fastify.get('/work/stats', role(ROLES.VIEWER), async (request, reply) => {
+  try {
+    return getWorkStats() || { error: 'Statistics are being updated, please try again later' };
   } catch (error) {
     fastify.log.error('获取统计信息时出错:', error);
     reply.code(500);
@@ -578,28 +2076,79 @@ fastify.get('/work/stats', async (request, reply) => {
   }
 });
 
-// 定时任务：每60分钟自动重置超时状态
-setInterval(
-  async () => {
-    try {
-      const resetStmt = db.prepare(`
-      UPDATE records 
-      SET status = ?, updated_at = strftime('%s', 'now')
-      WHERE status = ? 
-      AND updated_at < strftime('%s', 'now') - 3600
-    `);
+// Prometheus 指标，抓取时实时取值
+const metrics = createRegistry();
+const workRequestDuration = metrics.histogram(
+  'lucky_work_request_duration_seconds',
+  'Time spent handling POST /work/request',
+  [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+);
+
+metrics.gauge('lucky_records', 'Candidate passwords by job and status (records and keyspace ranges)', () =>
+  [...jobs.values()].flatMap((job) => {
+    const stats = getJobStats(job);
+    return stats ? ['uncheck', 'checking', 'checked'].map((status) => ({ labels: { job: job.id, status }, value: stats[status] })) : [];
+  }),
+);
+metrics.counter('lucky_batches_issued_total', 'Batches issued since the server started', () => batchCounters.issued);
+metrics.counter('lucky_batches_finished_total', 'Batches finished since the server started, by outcome', () =>
+  [BATCH_STATUS.COMPLETED, BATCH_STATUS.RELEASED, BATCH_STATUS.EXPIRED].map((status) => ({ labels: { status }, value: batchCounters[status] })),
+);
+metrics.gauge('lucky_active_leases', 'Batches currently leased to clients', () => countActiveBatches());
+metrics.counter('lucky_client_checked_total', 'Passwords checked per client, use rate() for throughput', () =>
+  Object.entries(clients).map(([client, data]) => ({ labels: { client, label: data.label || '' }, value: data.processedCount || 0 })),
+);
+metrics.gauge('lucky_client_reported_rate', 'Passwords per second last reported by each client', () =>
+  Object.entries(clients)
+    .filter(([, data]) => data.rate > 0)
+    .map(([client, data]) => ({ labels: { client, label: data.label || '' }, value: data.rate })),
+);
+metrics.gauge('lucky_stats_cache_age_seconds', 'Age of the cached record counts used by /work/stats, per job', () =>
+  [...jobs.values()].filter((job) => job.cache.stats).map((job) => ({ labels: { job: job.id }, value: (Date.now() - job.cache.stats.updated_at) / 1000 })),
+);
+metrics.gauge('lucky_password_found', 'Whether the password of each job has been found (1) or not (0)', () =>
+  [...jobs.values()].map((job) => ({ labels: { job: job.id }, value: job.found ? 1 : 0 })),
+);
+metrics.gauge('lucky_job_state', 'Current state of each job (1 for the active state)', () =>
+  [...jobs.values()].flatMap((job) => Object.values(JOB_STATES).map((state) => ({ labels: { job: job.id, state }, value: job.state === state ? 1 : 0 }))),
+);
 
-      const result = resetStmt.run(STATUS.UNCHECK, STATUS.CHECKING);
+fastify.addHook('onResponse', async (request, reply) => {
+  if (request.routeOptions.url === '/work/request') {
+    workRequestDuration.observe(reply.elapsedTime / 1000);
+  }
+});
 
-      if (result.changes > 0) {
-        fastify.log.info(`自动重置了 ${result.changes} 个超时的检查状态`);
-      }
+fastify.get('/metrics', role(ROLES.VIEWER), async (request, reply) => {
+  reply.type('text/plain; version=0.0.4; charset=utf-8');
+  return metrics.render();
+});
 
-      // 持久化客户端数据
-      persistClientsData();
-    } catch (error) {
-      fastify.log.error('自动重置超时状态时出错:', error);
+// 定时任务：每分钟回收过期的租约
+setInterval(() => {
+  try {
+    const expired = expireLeases();
+    for (const batch of expired) {
+      fastify.log.info(`客户端 ${batch.client_id} 的批次 ${batch.id} 租约过期，${batch.count} 个密码退回待分发队列`);
     }
+  } catch (error) {
+    fastify.log.error('回收过期租约时出错:', error);
+  }
+}, 60 * 1000);
+
+// 定时任务：每分钟检查客户端活动，发送无活动和失联通知
+setInterval(() => {
+  try {
+    checkClientActivity();
+  } catch (error) {
+    fastify.log.error('检查客户端活动时出错:', error);
+  }
+}, 60 * 1000);
+
+// 定时任务：每60分钟持久化客户端数据
+setInterval(
+  () => {
+    persistClientsData();
   },
   60 * 60 * 1000,
 ); // 60分钟
@@ -624,8 +2173,12 @@ function handleShutdown(signal) {
       try {
         fastify.log.info('关闭数据库');
         console.time('关闭数据库耗时');
+        for (const job of jobs.values()) {
+          if (job.store.db !== db) job.store.db.close();
+        }
         db.close();
         console.timeEnd('关闭数据库耗时');
+        verifyQueue.close();
       } catch (error) {
         fastify.log.error(error, 'Error while closing database');
       }
@@ -642,7 +2195,18 @@ function handleShutdown(signal) {
 async function main() {
   try {
     // 检查数据库文件是否存在
-    console.log('encrypt', encrypt);
+    console.log('encrypt', defaultEncrypt);
+    // encrypt.json 原样下发给客户端，type 字段决定客户端使用的验证插件
+    if (!isValidEncrypt(defaultEncrypt)) {
+      fastify.log.error(`encrypt.json 无效或钱包类型不受支持: ${defaultEncrypt.type || 'bitcoin-core'}`);
+      process.exit(1);
+    }
+    fastify.log.info(`钱包类型: ${describeEncrypt(defaultEncrypt)}`);
+    fastify.log.info(`通知目标: ${notifyTargets.length > 0 ? notifyTargets.map((target) => target.name).join(', ') : '未配置'}`);
+    if (RESULT_PUBLIC_KEY && !isValidPublicKey(RESULT_PUBLIC_KEY)) {
+      fastify.log.error('RESULT_PUBLIC_KEY 不是有效的 secp256k1 压缩公钥（66 位十六进制），可用 node seal.js keygen 生成');
+      process.exit(1);
+    }
     if (!fs.existsSync(DB_PATH)) {
       fastify.log.error(`数据库文件不存在: ${DB_PATH}`);
       fastify.log.info('请先运行数据生成脚本创建数据库文件');
@@ -694,12 +2258,30 @@ async function main() {
       fastify.log.info('客户端数据文件不存在，已初始化空客户端对象');
     }
 
-    // 检查密码是否已经找到
-    const foundPasswordFile = path.join(__dirname, 'found_password.txt');
-    if (fs.existsSync(foundPasswordFile)) {
-      passwordFound = true;
-      fastify.log.info('🎉 检测到密码已经找到，设置为已找到状态');
-      console.log('🎉 Password already found! Check found_password.txt for details.');
+    // 载入任务，结果文件存在的任务视为已找到
+    loadJobs(defaultEncrypt);
+    jobsActive = anyJobActive();
+
+    for (const job of jobs.values()) {
+      fastify.log.info(`任务 ${job.id}: ${describeEncrypt(job.encrypt)}，数据库 ${job.dbName}，优先级 ${job.priority}，权重 ${job.weight}`);
+
+      const recovered = job.store.recoverOrphanedWork();
+      if (recovered > 0) {
+        fastify.log.info(`任务 ${job.id} 有 ${recovered} 条没有有效租约的检查中状态已退回未检查`);
+      }
+
+      // 检查密码是否已经找到
+      if (job.found) {
+        const foundPasswordFile = path.basename(resultFileFor(job.id));
+        fastify.log.info(`🎉 检测到任务 ${job.id} 的密码已经找到，设置为已找到状态`);
+        console.log(`🎉 Password already found for job ${job.id}! Check ${foundPasswordFile} for details.`);
+      }
+
+      // 任务状态保存在数据库中，重启前暂停或排空的任务保持原状
+      if (job.state !== JOB_STATES.RUNNING) {
+        fastify.log.warn(`任务 ${job.id} 处于 ${job.state} 状态${job.reason ? `（${job.reason}）` : ''}，使用 POST /admin/jobs/${job.id}/resume 恢复分发`);
+        checkDrained(job);
+      }
     }
 
     await fastify.listen({ port: PORT, host: HOST });
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+
+const ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest();
+}
+
+function doublesha256(data) {
+  return sha256(sha256(data));
+}
+
+function encode(buffer) {
+  let value = BigInt('0x' + (buffer.toString('hex') || '0'));
+  let result = '';
+  while (value > 0n) {
+    result = ALPHABET[Number(value % 58n)] + result;
+    value /= 58n;
+  }
+  for (let i = 0; i < buffer.length && buffer[i] === 0; i++) {
+    result = '1' + result;
+  }
+  return result;
+}
+
+function decode(text) {
+  let value = 0n;
+  for (const ch of text) {
+    const digit = ALPHABET.indexOf(ch);
+    if (digit < 0) {
+      throw new Error(`无效的 Base58 字符: ${ch}`);
+    }
+    value = value * 58n + BigInt(digit);
+  }
+
+  let hex = value > 0n ? value.toString(16) : '';
+  if (hex.length % 2) hex = '0' + hex;
+  let zeros = 0;
+  while (zeros < text.length && text[zeros] === '1') zeros++;
+  return Buffer.concat([Buffer.alloc(zeros), Buffer.from(hex, 'hex')]);
+}
+
+/**
+ * Base58Check 编码：末尾追加双重SHA256的前4字节作为校验和
+ * @param {Buffer} payload - 数据
+ * @returns {string} 编码结果
+ */
+function encodeCheck(payload) {
+  return encode(Buffer.concat([payload, doublesha256(payload).subarray(0, 4)]));
+}
+
+/**
+ * Base58Check 解码，校验和不匹配时返回 null
+ * @param {string} text - 编码文本
+ * @returns {Buffer|null} 去掉校验和后的数据
+ */
+function decodeCheck(text) {
+  let buffer;
+  try {
+    buffer = decode(text);
+  } catch (error) {
+    return null;
+  }
+  if (buffer.length < 4) return null;
+
+  const payload = buffer.subarray(0, -4);
+  return doublesha256(payload).subarray(0, 4).equals(buffer.subarray(-4)) ? payload : null;
+}
+
+module.exports = {
+  sha256,
+  doublesha256,
+  encode,
+  decode,
+  encodeCheck,
+  decodeCheck,
+};
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const secp256k1 = require('secp256k1');
+const { sha256, doublesha256, encodeCheck, decodeCheck } = require('./base58');
+
+// BIP38 加密私钥（以 6P 开头的字符串），支持普通模式和 EC 乘法模式（含 lot/sequence）
+// 用密码解出私钥或公钥后计算地址，地址的双重SHA256前4字节应等于密文中的 addresshash
+// encrypt.json 格式：{ "type": "bip38", "encrypted_key": "6P...", "address_version": 0 }，address_version 可省略
+
+const PREFIX_NON_EC = 0x42;
+const PREFIX_EC = 0x43;
+const FLAG_COMPRESSED = 0x20;
+const FLAG_LOT_SEQUENCE = 0x04;
+
+// BIP38 规定的 scrypt 参数，每个候选约需 16MB 内存
+const SCRYPT_PASSWORD = { N: 16384, r: 8, p: 8, maxmem: 64 * 1024 * 1024 };
+const SCRYPT_PASSPOINT = { N: 1024, r: 1, p: 1 };
+
+function decodeKey(encrypt) {
+  const payload = encrypt && typeof encrypt.encrypted_key === 'string' ? decodeCheck(encrypt.encrypted_key) : null;
+  if (!payload || payload.length !== 39 || payload[0] !== 0x01 || (payload[1] !== PREFIX_NON_EC && payload[1] !== PREFIX_EC)) {
+    return null;
+  }
+  return payload;
+}
+
+function aesDecryptBlock(key, block) {
+  const decipher = crypto.createDecipheriv('aes-256-ecb', key, null);
+  decipher.setAutoPadding(false);
+  return Buffer.concat([decipher.update(block), decipher.final()]);
+}
+
+function xor(a, b) {
+  const result = Buffer.alloc(a.length);
+  for (let i = 0; i < a.length; i++) {
+    result[i] = a[i] ^ b[i];
+  }
+  return result;
+}
+
+function addressHash(publicKey, addressVersion) {
+  const hash160 = crypto.createHash('ripemd160').update(sha256(publicKey)).digest();
+  const address = encodeCheck(Buffer.concat([Buffer.from([addressVersion]), hash160]));
+  return doublesha256(Buffer.from(address, 'latin1')).subarray(0, 4);
+}
+
+module.exports = {
+  type: 'bip38',
+
+  isValid(encrypt) {
+    return !!decodeKey(encrypt);
+  },
+
+  describe(encrypt) {
+    return `BIP38 ${decodeKey(encrypt)[1] === PREFIX_EC ? 'EC-multiplied' : 'non-EC'} key, scrypt n=16384 r=8 p=8`;
+  },
+
+  prepare(encrypt) {
+    const payload = decodeKey(encrypt);
+    const flag = payload[2];
+    const compressed = (flag & FLAG_COMPRESSED) !== 0;
+    const expectedHash = payload.subarray(3, 7);
+    const addressVersion = encrypt.address_version || 0;
+    const matches = (publicKey) => addressHash(publicKey, addressVersion).equals(expectedHash);
+
+    if (payload[1] === PREFIX_NON_EC) {
+      const encryptedHalf1 = payload.subarray(7, 23);
+      const encryptedHalf2 = payload.subarray(23, 39);
+
+      return (password) => {
+        const derived = crypto.scryptSync(Buffer.from(password.normalize('NFC'), 'utf8'), expectedHash, 64, SCRYPT_PASSWORD);
+        const derivedHalf1 = derived.subarray(0, 32);
+        const derivedHalf2 = derived.subarray(32, 64);
+        const privateKey = Buffer.concat([
+          xor(aesDecryptBlock(derivedHalf2, encryptedHalf1), derivedHalf1.subarray(0, 16)),
+          xor(aesDecryptBlock(derivedHalf2, encryptedHalf2), derivedHalf1.subarray(16, 32)),
+        ]);
+        return secp256k1.privateKeyVerify(privateKey) && matches(Buffer.from(secp256k1.publicKeyCreate(privateKey, compressed)));
+      };
+    }
+
+    // EC 乘法模式：密码只决定 passfactor，私钥由 passfactor 与 seedb 派生的 factorb 相乘得到，公钥直接用点乘计算
+    const ownerEntropy = payload.subarray(7, 15);
+    const encryptedPart1 = payload.subarray(15, 23);
+    const encryptedPart2 = payload.subarray(23, 39);
+    const lotSequence = (flag & FLAG_LOT_SEQUENCE) !== 0;
+    const ownerSalt = lotSequence ? ownerEntropy.subarray(0, 4) : ownerEntropy;
+
+    return (password) => {
+      const prefactor = crypto.scryptSync(Buffer.from(password.normalize('NFC'), 'utf8'), ownerSalt, 32, SCRYPT_PASSWORD);
+      const passfactor = lotSequence ? doublesha256(Buffer.concat([prefactor, ownerEntropy])) : prefactor;
+      if (!secp256k1.privateKeyVerify(passfactor)) {
+        return false;
+      }
+
+      const passpoint = Buffer.from(secp256k1.publicKeyCreate(passfactor, true));
+      const derived = crypto.scryptSync(passpoint, Buffer.concat([expectedHash, ownerEntropy]), 64, SCRYPT_PASSPOINT);
+      const derivedHalf1 = derived.subarray(0, 32);
+      const derivedHalf2 = derived.subarray(32, 64);
+
+      const decrypted2 = xor(aesDecryptBlock(derivedHalf2, encryptedPart2), derivedHalf1.subarray(16, 32));
+      const decrypted1 = xor(aesDecryptBlock(derivedHalf2, Buffer.concat([encryptedPart1, decrypted2.subarray(0, 8)])), derivedHalf1.subarray(0, 16));
+      const factorb = doublesha256(Buffer.concat([decrypted1, decrypted2.subarray(8, 16)]));
+      if (!secp256k1.privateKeyVerify(factorb)) {
+        return false;
+      }
+
+      return matches(Buffer.from(secp256k1.publicKeyTweakMul(passpoint, factorb, compressed)));
+    };
+  },
+};
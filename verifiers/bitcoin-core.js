@@ -0,0 +1,68 @@
+const { deriveKeyFromPassword, decryptMasterKey, decryptPrivateKey, validatePrivateKey, listCkeys, isValidEncrypt } = require('../wallet');
+
+// Bitcoin Core wallet.dat：SHA-512 迭代派生密钥（derivationmethod 0），AES-256-CBC 解密主密钥和私钥，再比对公钥
+// encrypt.json 由 walletdat.js 提取，未写 type 字段时默认为此类型
+// 可以带多条 ckey（ckeys 数组），公钥为压缩或非压缩均可，任意一条匹配即为命中
+//
+// 分阶段淘汰，越靠前越便宜：
+//   masterKeyPadding  主密钥解密后的填充块不是 16 个 0x10（错误密码几乎都在这里被淘汰）
+//   privkeyPadding    每条 ckey 的私钥解密后填充都不对
+//   publicKey         有 ckey 填充正确，但私钥无效或算出的公钥不匹配（只有这一步做 secp256k1 点乘）
+
+const STAGES = {
+  MASTER_KEY_PADDING: 'masterKeyPadding',
+  PRIVKEY_PADDING: 'privkeyPadding',
+  PUBLIC_KEY: 'publicKey',
+};
+
+module.exports = {
+  type: 'bitcoin-core',
+  STAGES,
+
+  isValid(encrypt) {
+    return isValidEncrypt(encrypt) && (encrypt.derivationmethod === undefined || encrypt.derivationmethod === 0);
+  },
+
+  describe(encrypt) {
+    const ckeys = Array.isArray(encrypt.ckeys) ? `, ${encrypt.ckeys.length} ckeys` : '';
+    return `Bitcoin Core, ${encrypt.derivationiterations} iterations${ckeys}`;
+  },
+
+  // options.onNearMiss(detail)：主密钥填充正确但没有任何 ckey 匹配时调用，主密钥密文不带填充块时不调用
+  // 随机密码通过填充检查的概率约为 2^-128，出现时基本说明密码正确而 ckey 数据有误（公钥不对应或来自另一个 mkey）
+  // options.onReject(stage)：候选被淘汰时调用，stage 为 STAGES 中的值
+  prepare(encrypt, options = {}) {
+    const { onNearMiss, onReject } = options;
+    const ckeys = listCkeys(encrypt);
+    // 只有 32 字节（不带填充块）的主密钥密文无法检查填充，任何密码都能走到 ckey，这时不算接近命中
+    const masterKeyPadded = encrypt.encrypted_key.length > 64;
+    const reject = (stage) => {
+      if (onReject) onReject(stage);
+      return false;
+    };
+
+    return (password) => {
+      const { derivedKey, iv } = deriveKeyFromPassword(password, encrypt.salt, encrypt.derivationiterations);
+      const masterKey = decryptMasterKey(derivedKey, iv, encrypt.encrypted_key);
+      if (!masterKey) {
+        return reject(STAGES.MASTER_KEY_PADDING);
+      }
+
+      let paddingPassed = false;
+      for (const { encryptedPrivkey, publicKey } of ckeys) {
+        const privateKey = decryptPrivateKey(masterKey, publicKey, encryptedPrivkey);
+        if (!privateKey) continue;
+
+        paddingPassed = true;
+        if (validatePrivateKey(privateKey, publicKey)) {
+          return true;
+        }
+      }
+
+      if (onNearMiss && masterKeyPadded) {
+        onNearMiss({ password, reason: 'master key padding valid but no ckey matched', ckeys: ckeys.length });
+      }
+      return reject(paddingPassed ? STAGES.PUBLIC_KEY : STAGES.PRIVKEY_PADDING);
+    };
+  },
+};
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const secp256k1 = require('secp256k1');
+const { sha256, decodeCheck } = require('./base58');
+
+// Electrum 钱包文件，支持两种加密方式：
+//   encrypted_storage  整个文件加密（2.8 起的默认方式），文件内容为 base64 的 BIE1 消息，用 HMAC 校验
+//   encrypted_xprv / encrypted_seed  只加密 keystore 字段（旧版本或关闭了文件加密），base64(iv + AES-256-CBC)，密钥为 sha256d(密码)
+// encrypt.json 格式：{ "type": "electrum", "encrypted_storage": "QklFMQ..." }，三个字段任选其一
+
+const CURVE_ORDER = BigInt('0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141');
+const BIE1_MAGIC = Buffer.from('BIE1');
+
+// 解密后的 xprv（含 tprv、yprv、zprv 等变体）是 78 字节的 Base58Check 扩展私钥
+function isExtendedPrivateKey(text) {
+  const payload = decodeCheck(text);
+  return !!payload && payload.length === 78 && payload[45] === 0;
+}
+
+// 旧版种子是 32 位十六进制，新版是小写单词助记词
+function isSeed(text) {
+  return /^[0-9a-f]{32}$/.test(text) || /^[a-z]+( [a-z]+){11,23}$/.test(text);
+}
+
+// Electrum 的 ECPrivkey.from_arbitrary_size_secret：64 字节 PBKDF2 输出对曲线阶取模
+function storagePrivateKey(password) {
+  const secret = crypto.pbkdf2Sync(Buffer.from(password, 'utf8'), Buffer.alloc(0), 1024, 64, 'sha512');
+  const scalar = BigInt('0x' + secret.toString('hex')) % CURVE_ORDER;
+  return scalar === 0n ? null : Buffer.from(scalar.toString(16).padStart(64, '0'), 'hex');
+}
+
+function prepareStorage(encrypted) {
+  const data = encrypted.subarray(0, -32);
+  const mac = encrypted.subarray(-32);
+  const ephemeralPublicKey = encrypted.subarray(4, 37);
+
+  return (password) => {
+    const privateKey = storagePrivateKey(password);
+    if (!privateKey) return false;
+
+    const shared = Buffer.from(secp256k1.publicKeyTweakMul(ephemeralPublicKey, privateKey, true));
+    const keyMac = crypto.createHash('sha512').update(shared).digest().subarray(32);
+    return crypto.createHmac('sha256', keyMac).update(data).digest().equals(mac);
+  };
+}
+
+function prepareField(encrypted, check) {
+  const iv = encrypted.subarray(0, 16);
+  const ciphertext = encrypted.subarray(16);
+
+  return (password) => {
+    const key = sha256(sha256(Buffer.from(password, 'utf8')));
+    let plaintext;
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
+      plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+    } catch (error) {
+      return false; // PKCS#7 填充无效
+    }
+    return check(plaintext.toString('utf8'));
+  };
+}
+
+function decodeField(encrypt) {
+  for (const field of ['encrypted_storage', 'encrypted_xprv', 'encrypted_seed']) {
+    if (typeof encrypt[field] !== 'string') continue;
+
+    const buffer = Buffer.from(encrypt[field], 'base64');
+    if (field === 'encrypted_storage') {
+      // magic + 33 字节临时公钥 + 至少一个密文块 + 32 字节 MAC
+      const valid = buffer.length >= 4 + 33 + 16 + 32 && buffer.subarray(0, 4).equals(BIE1_MAGIC) && secp256k1.publicKeyVerify(buffer.subarray(4, 37));
+      return valid ? { field, buffer } : null;
+    }
+    return buffer.length >= 32 && buffer.length % 16 === 0 ? { field, buffer } : null;
+  }
+  return null;
+}
+
+module.exports = {
+  type: 'electrum',
+
+  isValid(encrypt) {
+    return !!encrypt && !!decodeField(encrypt);
+  },
+
+  describe(encrypt) {
+    return `Electrum ${decodeField(encrypt).field.replace('encrypted_', '')}`;
+  },
+
+  prepare(encrypt) {
+    const { field, buffer } = decodeField(encrypt);
+    if (field === 'encrypted_storage') {
+      return prepareStorage(buffer);
+    }
+    return prepareField(buffer, field === 'encrypted_xprv' ? isExtendedPrivateKey : isSeed);
+  },
+};
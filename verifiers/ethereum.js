@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const { keccak_256 } = require('@noble/hashes/sha3');
+const { scrypt } = require('@noble/hashes/scrypt');
+
+// Ethereum V3 keystore（geth、MyEtherWallet 等导出的 UTC--* 文件）
+// 用 scrypt 或 pbkdf2 派生密钥后，keccak256(派生密钥后16字节 + 密文) 应等于 mac，无需解密私钥
+// encrypt.json 可以是 keystore 文件本身加上 "type": "ethereum"，也可以是 { "type": "ethereum", "keystore": {...} }
+
+function cryptoParams(encrypt) {
+  const keystore = (encrypt && encrypt.keystore) || encrypt;
+  return keystore && (keystore.crypto || keystore.Crypto);
+}
+
+module.exports = {
+  type: 'ethereum',
+
+  isValid(encrypt) {
+    const params = cryptoParams(encrypt);
+    if (!params || !params.ciphertext || !params.mac || !params.kdfparams || !params.kdfparams.salt) {
+      return false;
+    }
+
+    const { kdf, kdfparams } = params;
+    if (kdf === 'scrypt') {
+      return Number.isInteger(kdfparams.n) && Number.isInteger(kdfparams.r) && Number.isInteger(kdfparams.p);
+    }
+    return kdf === 'pbkdf2' && Number.isInteger(kdfparams.c) && (kdfparams.prf || 'hmac-sha256') === 'hmac-sha256';
+  },
+
+  describe(encrypt) {
+    const { kdf, kdfparams } = cryptoParams(encrypt);
+    return kdf === 'scrypt' ? `Ethereum keystore, scrypt n=${kdfparams.n} r=${kdfparams.r} p=${kdfparams.p}` : `Ethereum keystore, pbkdf2 c=${kdfparams.c}`;
+  },
+
+  prepare(encrypt) {
+    const { kdf, kdfparams, ciphertext, mac } = cryptoParams(encrypt);
+    const salt = Buffer.from(kdfparams.salt, 'hex');
+    const dklen = kdfparams.dklen || 32;
+    const ciphertextBuffer = Buffer.from(ciphertext, 'hex');
+    const macBuffer = Buffer.from(mac, 'hex');
+
+    // scrypt 内存需求约为 128 * r * (n + p)，默认参数（n=262144, r=8）需要 256MB
+    // OpenSSL 要求 n < 2^(16r)，超出时（例如 r=1 的旧 keystore）改用纯 JS 实现
+    const scryptOptions = { N: kdfparams.n, r: kdfparams.r, p: kdfparams.p };
+    const nativeScrypt = kdf === 'scrypt' && Math.log2(kdfparams.n) < 16 * kdfparams.r;
+    let derive;
+    if (kdf === 'pbkdf2') {
+      derive = (password) => crypto.pbkdf2Sync(password, salt, kdfparams.c, dklen, 'sha256');
+    } else if (nativeScrypt) {
+      const maxmem = 128 * kdfparams.r * (kdfparams.n + kdfparams.p + 2) + 1024 * 1024;
+      derive = (password) => crypto.scryptSync(password, salt, dklen, { ...scryptOptions, maxmem });
+    } else {
+      derive = (password) => Buffer.from(scrypt(password, salt, { ...scryptOptions, dkLen: dklen, maxmem: 2 ** 32 }));
+    }
+
+    return (password) => {
+      const derivedKey = derive(Buffer.from(password, 'utf8'));
+      const expected = keccak_256(Buffer.concat([derivedKey.subarray(16, 32), ciphertextBuffer]));
+      return macBuffer.equals(Buffer.from(expected));
+    };
+  },
+};
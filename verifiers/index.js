@@ -0,0 +1,85 @@
+const bitcoinCore = require('./bitcoin-core');
+const ethereum = require('./ethereum');
+const bip38 = require('./bip38');
+const electrum = require('./electrum');
+
+// 钱包验证插件，按 encrypt.json 的 type 字段选择，未写 type 时为 bitcoin-core
+// 每个插件导出：
+//   type                       类型名
+//   isValid(encrypt)           encrypt.json 是否完整、参数是否受支持
+//   describe(encrypt)          简短描述，用于日志和基准测试
+//   prepare(encrypt, options)  预先解析参数，返回 (password) => boolean 的验证函数
+//                              options.onNearMiss(detail) 可选，插件能判断“密码大概率正确但数据对不上”时调用
+//                              options.onReject(stage) 可选，分阶段淘汰的插件在候选被某一阶段淘汰时调用
+// 新增格式时在 verifiers/ 下新建模块并加入 VERIFIERS
+
+const DEFAULT_TYPE = bitcoinCore.type;
+
+const VERIFIERS = Object.fromEntries([bitcoinCore, ethereum, bip38, electrum].map((verifier) => [verifier.type, verifier]));
+
+function encryptType(encrypt) {
+  return (encrypt && encrypt.type) || DEFAULT_TYPE;
+}
+
+/**
+ * 根据 type 字段取验证插件
+ * @param {Object} encrypt - encrypt.json 的内容
+ * @returns {Object} 验证插件
+ */
+function getVerifier(encrypt) {
+  const verifier = VERIFIERS[encryptType(encrypt)];
+  if (!verifier) {
+    throw new Error(`不支持的钱包类型: ${encryptType(encrypt)}，可选 ${Object.keys(VERIFIERS).join(', ')}`);
+  }
+  return verifier;
+}
+
+function isValidEncrypt(encrypt) {
+  const verifier = encrypt && VERIFIERS[encryptType(encrypt)];
+  return !!verifier && verifier.isValid(encrypt);
+}
+
+function describeEncrypt(encrypt) {
+  return getVerifier(encrypt).describe(encrypt);
+}
+
+/**
+ * 为一份钱包数据创建验证函数，参数只解析一次
+ * @param {Object} encrypt - encrypt.json 的内容
+ * @param {Object} options - 可选配置
+ * @param {function(Object)} options.onNearMiss - 接近命中时的诊断回调
+ * @param {function(string)} options.onReject - 候选被某一阶段淘汰时的计数回调
+ * @returns {function(string): boolean} 验证函数，密码正确时返回 true
+ */
+function createVerifier(encrypt, options = {}) {
+  if (!isValidEncrypt(encrypt)) {
+    throw new Error(`无效的钱包数据（类型 ${encryptType(encrypt)}）`);
+  }
+  return getVerifier(encrypt).prepare(encrypt, options);
+}
+
+/**
+ * 完整验证一个密码，客户端 worker 和服务端复核都使用同一个插件
+ * @param {string} password - 候选密码
+ * @param {Object} encrypt - encrypt.json 的内容
+ * @returns {boolean} 密码是否正确
+ */
+function verifyPassword(password, encrypt) {
+  if (typeof password !== 'string' || !isValidEncrypt(encrypt)) {
+    return false;
+  }
+  try {
+    return createVerifier(encrypt)(password);
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  VERIFIERS,
+  getVerifier,
+  isValidEncrypt,
+  describeEncrypt,
+  createVerifier,
+  verifyPassword,
+};
@@ -0,0 +1,79 @@
+const { Worker, isMainThread, parentPort } = require('worker_threads');
+const { verifyPassword } = require('./verifiers');
+
+// 服务端复核上报密码用的后台线程：钱包的 KDF 每次要上百毫秒，放在事件循环里会卡住所有请求
+// 只用一个线程按顺序复核，排队超过 maxPending 时直接拒绝，伪造的上报再多也只占一个核
+
+if (!isMainThread) {
+  parentPort.on('message', ({ id, password, encrypt }) => {
+    parentPort.postMessage({ id, verified: verifyPassword(password, encrypt) });
+  });
+}
+
+class VerifyBusyError extends Error {}
+
+/**
+ * 创建复核队列
+ * @param {Object} options - 可选配置
+ * @param {number} options.maxPending - 排队和正在复核的上报数量上限，默认16
+ * @returns {{verify: function(string, Object): Promise<boolean>, pending: function(): number, close: function(): Promise<void>}}
+ *   verify 排队已满时抛出 VerifyBusyError
+ */
+function createVerifyQueue({ maxPending = 16 } = {}) {
+  const waiting = new Map();
+  let worker = null;
+  let nextId = 0;
+
+  // 线程崩溃时让排队的复核全部失败，下次复核时重新启动
+  function fail(current, error) {
+    if (worker !== current) return;
+    worker = null;
+    for (const { reject } of waiting.values()) {
+      reject(error);
+    }
+    waiting.clear();
+  }
+
+  function start() {
+    const current = new Worker(__filename);
+    current.on('message', ({ id, verified }) => {
+      const pending = waiting.get(id);
+      if (pending) {
+        waiting.delete(id);
+        pending.resolve(verified);
+      }
+    });
+    current.on('error', (error) => fail(current, error));
+    current.on('exit', (code) => fail(current, new Error(`verify worker exited with code ${code}`)));
+    // 复核线程不阻止进程退出
+    current.unref();
+    worker = current;
+  }
+
+  function verify(password, encrypt) {
+    if (waiting.size >= maxPending) {
+      return Promise.reject(new VerifyBusyError(`${waiting.size} claims are already being verified`));
+    }
+    if (!worker) start();
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      waiting.set(id, { resolve, reject });
+      worker.postMessage({ id, password, encrypt });
+    });
+  }
+
+  async function close() {
+    if (worker) {
+      const current = worker;
+      fail(current, new Error('verify queue closed'));
+      await current.terminate();
+    }
+  }
+
+  return { verify, pending: () => waiting.size, close };
+}
+
+module.exports = {
+  VerifyBusyError,
+  createVerifyQueue,
+};
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const secp256k1 = require('secp256k1');
+
+// Core decryption functions from whale.js
+function deriveKeyFromPassword(password, salt, iterations) {
+  const vKeyData = Buffer.from(password, 'utf8');
+  const vSalt = Buffer.from(salt, 'hex');
+  let data = Buffer.concat([vKeyData, vSalt]);
+
+  for (let i = 0; i < iterations; i++) {
+    data = crypto.createHash('sha512').update(data).digest();
+  }
+
+  const derivedKey = data.slice(0, 32); // 前32字节作为密钥
+  const iv = data.slice(32, 48); // 后16字节作为IV
+
+  return { derivedKey, iv };
+}
+
+// 32 字节明文加密后为 48 字节，PKCS#7 填充是完整的一块 16 个 0x10
+function hasFullBlockPadding(decrypted) {
+  return decrypted.length === 48 && decrypted.subarray(32).every((byte) => byte === 16);
+}
+
+function decryptMasterKey(derivedKey, iv, encryptedKey) {
+  try {
+    const encryptedKeyBytes = Buffer.from(encryptedKey, 'hex');
+    const cipher = crypto.createDecipheriv('aes-256-cbc', derivedKey, iv);
+    cipher.setAutoPadding(false);
+
+    const decryptedMaster = Buffer.concat([cipher.update(encryptedKeyBytes), cipher.final()]);
+
+    // 主密钥密文带有填充块时，填充不对说明密码错误
+    if (encryptedKeyBytes.length > 32 && !hasFullBlockPadding(decryptedMaster)) {
+      return null;
+    }
+
+    return decryptedMaster.slice(0, 32); // 只取前32字节
+  } catch (error) {
+    return null;
+  }
+}
+
+function doublesha256(bytestring) {
+  const firstHash = crypto.createHash('sha256').update(bytestring).digest();
+  return crypto.createHash('sha256').update(firstHash).digest();
+}
+
+function decryptPrivateKey(masterKey, publicKeyBuf, encryptedPrivkey) {
+  try {
+    // 使用原始公钥的双重SHA256作为IV（2011年格式）
+    const ivFull = doublesha256(publicKeyBuf);
+    const iv = ivFull.slice(0, 16); // 只取前16字节作为IV
+
+    // 使用AES-256-CBC解密私钥
+    const encryptedPrivkeyBytes = Buffer.from(encryptedPrivkey, 'hex');
+    const cipher = crypto.createDecipheriv('aes-256-cbc', masterKey, iv);
+    cipher.setAutoPadding(false);
+
+    const decryptedPrivkey = Buffer.concat([cipher.update(encryptedPrivkeyBytes), cipher.final()]);
+
+    // 与主密钥相同，32 字节私钥的密文为 48 字节，填充不对说明主密钥错误或 IV 用错了公钥
+    if (encryptedPrivkeyBytes.length > 32 && !hasFullBlockPadding(decryptedPrivkey)) {
+      return null;
+    }
+
+    return decryptedPrivkey.slice(0, 32); // 只取前32字节
+  } catch (error) {
+    return null;
+  }
+}
+
+function validatePrivateKey(privateKey, expectedPublicKey) {
+  try {
+    // 检查私钥是否有效
+    if (!secp256k1.privateKeyVerify(privateKey)) {
+      return false;
+    }
+
+    // 按期望公钥的格式生成公钥：33 字节为压缩公钥，65 字节为非压缩公钥（2011年格式）
+    const compressed = expectedPublicKey.length === 33;
+    const generatedPublicKeyBuf = Buffer.from(secp256k1.publicKeyCreate(privateKey, compressed));
+
+    // 比较生成的公钥和期望的公钥
+    return generatedPublicKeyBuf.equals(expectedPublicKey);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * 列出 encrypt.json 中的全部 ckey，每条带上保存它时使用的公钥（私钥 IV 由该公钥计算）
+ * 新格式为 ckeys 数组；旧格式只有一条 encrypted_privkey，不知道以哪种公钥保存，非压缩和压缩两种都列出
+ * @param {Object} encrypt - encrypt.json 的内容
+ * @returns {{encryptedPrivkey: string, publicKey: Buffer}[]} ckey 列表
+ */
+function listCkeys(encrypt) {
+  if (Array.isArray(encrypt.ckeys)) {
+    return encrypt.ckeys.map((ckey) => ({ encryptedPrivkey: ckey.encrypted_privkey, publicKey: Buffer.from(ckey.public_key, 'hex') }));
+  }
+  return [encrypt.uncompressed_public_key, encrypt.public_key]
+    .filter(Boolean)
+    .map((publicKey) => ({ encryptedPrivkey: encrypt.encrypted_privkey, publicKey: Buffer.from(publicKey, 'hex') }));
+}
+
+const isPublicKeyHex = (hex) => typeof hex === 'string' && (hex.length === 66 || hex.length === 130);
+
+function isValidEncrypt(encrypt) {
+  if (!(encrypt && encrypt.encrypted_key && encrypt.salt && encrypt.derivationiterations)) {
+    return false;
+  }
+  if (Array.isArray(encrypt.ckeys)) {
+    return encrypt.ckeys.length > 0 && encrypt.ckeys.every((ckey) => ckey && ckey.encrypted_privkey && isPublicKeyHex(ckey.public_key));
+  }
+  return !!encrypt.encrypted_privkey && (isPublicKeyHex(encrypt.uncompressed_public_key) || isPublicKeyHex(encrypt.public_key));
+}
+
+/**
+ * 用密码加密主密钥（decryptMasterKey 的逆过程，带 PKCS#7 填充，32 字节密文为 48 字节）
+ * @param {string} password - 钱包密码
+ * @param {string} salt - 十六进制盐
+ * @param {number} iterations - SHA-512 迭代次数
+ * @param {Buffer} masterKey - 32 字节主密钥
+ * @returns {Buffer} 加密后的主密钥
+ */
+function encryptMasterKey(password, salt, iterations, masterKey) {
+  const { derivedKey, iv } = deriveKeyFromPassword(password, salt, iterations);
+  const cipher = crypto.createCipheriv('aes-256-cbc', derivedKey, iv);
+  return Buffer.concat([cipher.update(masterKey), cipher.final()]);
+}
+
+/**
+ * 用主密钥加密私钥（decryptPrivateKey 的逆过程），IV 取公钥的双重SHA256
+ * @param {Buffer} masterKey - 32 字节主密钥
+ * @param {Buffer} publicKeyBuf - 保存 ckey 时使用的公钥
+ * @param {Buffer} privateKey - 32 字节私钥
+ * @returns {Buffer} 加密后的私钥
+ */
+function encryptPrivateKey(masterKey, publicKeyBuf, privateKey) {
+  const iv = doublesha256(publicKeyBuf).slice(0, 16);
+  const cipher = crypto.createCipheriv('aes-256-cbc', masterKey, iv);
+  return Buffer.concat([cipher.update(privateKey), cipher.final()]);
+}
+
+module.exports = {
+  deriveKeyFromPassword,
+  decryptMasterKey,
+  doublesha256,
+  decryptPrivateKey,
+  validatePrivateKey,
+  listCkeys,
+  encryptMasterKey,
+  encryptPrivateKey,
+  isValidEncrypt,
+};
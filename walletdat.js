@@ -0,0 +1,503 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const secp256k1 = require('secp256k1');
+const Database = require('better-sqlite3');
+const { deriveKeyFromPassword, decryptMasterKey, decryptPrivateKey, encryptMasterKey, encryptPrivateKey } = require('./wallet');
+
+// Berkeley DB 页面格式（只读取 Bitcoin Core wallet.dat 用到的部分）
+const BDB_BTREE_MAGIC = 0x053162;
+const BDB_PAGE_HEADER_SIZE = 26;
+const P_LBTREE = 5; // btree 叶子页
+const P_OVERFLOW = 7; // 溢出页
+const P_BTREEMETA = 9; // btree 元数据页
+const B_KEYDATA = 1;
+const B_OVERFLOW = 3;
+const B_DELETE = 0x80;
+
+const SQLITE_HEADER = Buffer.from('SQLite format 3\0', 'latin1');
+
+// 加密私钥记录：旧版钱包为 ckey，描述符钱包为 walletdescriptorckey
+const CKEY_TYPES = new Set(['ckey', 'walletdescriptorckey']);
+
+// Bitcoin Core 序列化格式读取器
+class Reader {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.offset = 0;
+  }
+
+  compactSize() {
+    const first = this.buffer.readUInt8(this.offset++);
+    if (first < 253) return first;
+    if (first === 253) {
+      const value = this.buffer.readUInt16LE(this.offset);
+      this.offset += 2;
+      return value;
+    }
+    if (first === 254) {
+      const value = this.buffer.readUInt32LE(this.offset);
+      this.offset += 4;
+      return value;
+    }
+    const value = Number(this.buffer.readBigUInt64LE(this.offset));
+    this.offset += 8;
+    return value;
+  }
+
+  bytes(length) {
+    if (this.offset + length > this.buffer.length) {
+      throw new Error('记录长度超出数据范围');
+    }
+    const value = this.buffer.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return value;
+  }
+
+  varBytes() {
+    return this.bytes(this.compactSize());
+  }
+
+  string() {
+    return this.varBytes().toString('latin1');
+  }
+
+  uint32() {
+    const value = this.buffer.readUInt32LE(this.offset);
+    this.offset += 4;
+    return value;
+  }
+}
+
+function compactSize(length) {
+  if (length < 253) return Buffer.from([length]);
+  const buf = Buffer.alloc(3);
+  buf[0] = 253;
+  buf.writeUInt16LE(length, 1);
+  return buf;
+}
+
+function varBytes(data) {
+  return Buffer.concat([compactSize(data.length), data]);
+}
+
+function uint32(value) {
+  const buf = Buffer.alloc(4);
+  buf.writeUInt32LE(value);
+  return buf;
+}
+
+/**
+ * 读取 Berkeley DB btree 文件中的全部键值对
+ * 不依赖 libdb：逐页扫描叶子页，wallet.dat 里的主库目录（main 子库）等非钱包记录由调用方忽略
+ * @param {Buffer} file - 文件内容
+ * @returns {{key: Buffer, value: Buffer}[]} 键值对
+ */
+function readBerkeleyDb(file) {
+  let le = true;
+  if (file.readUInt32LE(12) !== BDB_BTREE_MAGIC) {
+    if (file.readUInt32BE(12) !== BDB_BTREE_MAGIC) {
+      throw new Error('不是 Berkeley DB btree 文件');
+    }
+    le = false;
+  }
+
+  const u16 = (offset) => (le ? file.readUInt16LE(offset) : file.readUInt16BE(offset));
+  const u32 = (offset) => (le ? file.readUInt32LE(offset) : file.readUInt32BE(offset));
+  const pageSize = u32(20);
+  const pageCount = Math.floor(file.length / pageSize);
+
+  const readOverflow = (pgno, length) => {
+    const parts = [];
+    let remaining = length;
+    while (pgno && remaining > 0) {
+      const page = pgno * pageSize;
+      if (file[page + 25] !== P_OVERFLOW) {
+        throw new Error(`溢出页 ${pgno} 类型无效`);
+      }
+      // 溢出页的 hf_offset 字段保存本页数据长度
+      const size = Math.min(u16(page + 22), remaining);
+      parts.push(file.subarray(page + BDB_PAGE_HEADER_SIZE, page + BDB_PAGE_HEADER_SIZE + size));
+      remaining -= size;
+      pgno = u32(page + 16);
+    }
+    return Buffer.concat(parts);
+  };
+
+  const readItem = (page, offset) => {
+    const item = page + offset;
+    const type = file[item + 2];
+    if (type & B_DELETE) return null;
+    if (type === B_KEYDATA) {
+      return file.subarray(item + 3, item + 3 + u16(item));
+    }
+    if (type === B_OVERFLOW) {
+      return readOverflow(u32(item + 4), u32(item + 8));
+    }
+    return null;
+  };
+
+  const records = [];
+  for (let pgno = 1; pgno < pageCount; pgno++) {
+    const page = pgno * pageSize;
+    if (file[page + 25] !== P_LBTREE) continue;
+
+    // 叶子页的条目按 键、值、键、值 交替排列
+    const entries = u16(page + 20);
+    for (let i = 0; i + 1 < entries; i += 2) {
+      const key = readItem(page, u16(page + BDB_PAGE_HEADER_SIZE + i * 2));
+      const value = readItem(page, u16(page + BDB_PAGE_HEADER_SIZE + (i + 1) * 2));
+      if (key && value) {
+        records.push({ key, value });
+      }
+    }
+  }
+  return records;
+}
+
+/**
+ * 读取 SQLite 格式钱包（Bitcoin Core 0.21 起的描述符钱包）的全部键值对
+ * @param {string} file - 文件路径
+ * @returns {{key: Buffer, value: Buffer}[]} 键值对
+ */
+function readSqliteWallet(file) {
+  const db = new Database(file, { readonly: true, fileMustExist: true });
+  try {
+    return db.prepare('SELECT key, value FROM main').all();
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * 从 wallet.dat 中提取 mkey 和加密私钥记录
+ * @param {string} file - wallet.dat 路径，Berkeley DB 或 SQLite 格式
+ * @returns {{format: string, mkeys: Object[], ckeys: Object[]}} 提取结果
+ */
+function extractWallet(file) {
+  const content = fs.readFileSync(file);
+  const isSqlite = content.subarray(0, SQLITE_HEADER.length).equals(SQLITE_HEADER);
+  const records = isSqlite ? readSqliteWallet(file) : readBerkeleyDb(content);
+
+  const mkeys = [];
+  const ckeys = [];
+  for (const { key, value } of records) {
+    try {
+      const keyReader = new Reader(key);
+      const type = keyReader.string();
+      const valueReader = new Reader(value);
+
+      if (type === 'mkey') {
+        const nID = keyReader.uint32();
+        const encryptedKey = valueReader.varBytes();
+        const salt = valueReader.varBytes();
+        mkeys.push({
+          nID,
+          salt: salt.toString('hex'),
+          derivationmethod: valueReader.uint32(),
+          derivationiterations: valueReader.uint32(),
+          encrypted_key: encryptedKey.toString('hex'),
+        });
+      } else if (CKEY_TYPES.has(type)) {
+        if (type === 'walletdescriptorckey') {
+          keyReader.bytes(32); // 描述符 ID
+        }
+        const publicKey = keyReader.varBytes();
+        // 新版本在密文后面还有校验和，这里只取密文
+        const encryptedPrivkey = valueReader.varBytes();
+        ckeys.push({ type, publicKey: Buffer.from(publicKey), encrypted_privkey: encryptedPrivkey.toString('hex') });
+      }
+    } catch (error) {
+      // 不是钱包记录（例如 Berkeley DB 的子库目录），跳过
+    }
+  }
+
+  return { format: isSqlite ? 'sqlite' : 'bdb', mkeys, ckeys };
+}
+
+/**
+ * 把 mkey 和 ckey 列表转成 client.js 使用的 encrypt.json 格式
+ * ckeys 中的 public_key 保持保存时的格式（压缩或非压缩），私钥 IV 由它计算
+ * 顶层的 encrypted_privkey 和公钥字段取第一条非压缩 ckey，兼容只认单条 ckey 的旧客户端
+ * @param {Object} mkey - extractWallet 返回的 mkey
+ * @param {Object[]} ckeys - extractWallet 返回的 ckey 列表
+ * @returns {Object} encrypt.json 内容
+ */
+function toEncryptJson(mkey, ckeys) {
+  const legacy = ckeys.find((ckey) => ckey.publicKey.length === 65) || ckeys[0];
+  return {
+    nID: mkey.nID,
+    salt: mkey.salt,
+    derivationmethod: mkey.derivationmethod,
+    derivationiterations: mkey.derivationiterations,
+    encrypted_key: mkey.encrypted_key,
+    encrypted_privkey: legacy.encrypted_privkey,
+    uncompressed_public_key: Buffer.from(secp256k1.publicKeyConvert(legacy.publicKey, false)).toString('hex'),
+    public_key: Buffer.from(secp256k1.publicKeyConvert(legacy.publicKey, true)).toString('hex'),
+    ckeys: ckeys.map((ckey) => ({ encrypted_privkey: ckey.encrypted_privkey, public_key: ckey.publicKey.toString('hex') })),
+  };
+}
+
+/**
+ * 已知密码时，确认 ckey 能解出与其公钥匹配的有效私钥
+ * IV 按保存 ckey 时使用的公钥（压缩或非压缩）计算
+ * @returns {boolean} 是否匹配
+ */
+function checkCkey(mkey, ckey, password) {
+  const { derivedKey, iv } = deriveKeyFromPassword(password, mkey.salt, mkey.derivationiterations);
+  const masterKey = decryptMasterKey(derivedKey, iv, mkey.encrypted_key);
+  if (!masterKey) return false;
+
+  const privateKey = decryptPrivateKey(masterKey, ckey.publicKey, ckey.encrypted_privkey);
+  if (!privateKey || !secp256k1.privateKeyVerify(privateKey)) return false;
+
+  const compressed = ckey.publicKey.length === 33;
+  return Buffer.from(secp256k1.publicKeyCreate(privateKey, compressed)).equals(ckey.publicKey);
+}
+
+/**
+ * 把键值对写成最小的 Berkeley DB btree 文件：一个元数据页加若干叶子页
+ * 只用于生成离线测试夹具，能被 readBerkeleyDb 读取
+ */
+function writeBerkeleyDb(file, records, pageSize = 4096) {
+  const sorted = [...records].sort((a, b) => Buffer.compare(a.key, b.key));
+  const pages = [];
+  let items = [];
+  let used = BDB_PAGE_HEADER_SIZE;
+
+  const flushPage = () => {
+    const page = Buffer.alloc(pageSize);
+    let top = pageSize;
+    items.forEach((data, i) => {
+      const size = 3 + data.length;
+      top -= size + (size % 2); // 条目按 2 字节对齐
+      page.writeUInt16LE(data.length, top);
+      page[top + 2] = B_KEYDATA;
+      data.copy(page, top + 3);
+      page.writeUInt16LE(top, BDB_PAGE_HEADER_SIZE + i * 2);
+    });
+    page.writeUInt32LE(pages.length + 1, 8); // pgno
+    page.writeUInt16LE(items.length, 20);
+    page.writeUInt16LE(top, 22);
+    page[24] = 1; // level
+    page[25] = P_LBTREE;
+    pages.push(page);
+    items = [];
+    used = BDB_PAGE_HEADER_SIZE;
+  };
+
+  for (const { key, value } of sorted) {
+    const size = 2 * 2 + 3 + key.length + 1 + 3 + value.length + 1;
+    if (size > pageSize - BDB_PAGE_HEADER_SIZE) {
+      throw new Error('记录过大，夹具生成器不支持溢出页');
+    }
+    if (used + size > pageSize) flushPage();
+    items.push(key, value);
+    used += size;
+  }
+  flushPage();
+
+  // 叶子页之间用 prev/next 链接
+  pages.forEach((page, i) => {
+    page.writeUInt32LE(i === 0 ? 0 : i, 12);
+    page.writeUInt32LE(i === pages.length - 1 ? 0 : i + 2, 16);
+  });
+
+  const meta = Buffer.alloc(pageSize);
+  meta.writeUInt32LE(BDB_BTREE_MAGIC, 12);
+  meta.writeUInt32LE(9, 16); // version
+  meta.writeUInt32LE(pageSize, 20);
+  meta[25] = P_BTREEMETA;
+  meta.writeUInt32LE(pages.length, 32); // last_pgno
+  meta.writeUInt32LE(2, 76); // minkey
+  meta.writeUInt32LE(1, 88); // root
+  fs.writeFileSync(file, Buffer.concat([meta, ...pages]));
+}
+
+function writeSqliteWallet(file, records) {
+  const db = new Database(file);
+  try {
+    db.exec('CREATE TABLE main (key BLOB PRIMARY KEY NOT NULL, value BLOB NOT NULL)');
+    const insert = db.prepare('INSERT INTO main (key, value) VALUES (?, ?)');
+    db.transaction(() => {
+      for (const { key, value } of records) insert.run(key, value);
+    })();
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * 生成一个用已知密码加密的 wallet.dat 测试夹具
+ * @param {string} file - 输出路径
+ * @param {Object} options - 配置
+ * @param {string} options.password - 钱包密码
+ * @param {number} options.iterations - SHA-512 迭代次数，默认 25000
+ * @param {number} options.keys - 加密私钥数量，默认 3
+ * @param {boolean} options.compressed - 是否以压缩公钥保存 ckey
+ * @param {boolean} options.sqlite - 生成 SQLite 格式，否则为 Berkeley DB
+ * @returns {{masterKey: Buffer, privateKeys: Buffer[], publicKeys: Buffer[]}} 夹具中的密钥
+ */
+function createWalletFixture(file, options) {
+  const { password, iterations = 25000, keys = 3, compressed = false, sqlite = false, force = false } = options;
+  if (!password) {
+    throw new Error('必须指定钱包密码');
+  }
+  // 输出路径指向真实的 wallet.dat 时会把它删掉重写
+  if (fs.existsSync(file) && !force) {
+    throw new Error(`${file} 已存在，使用 --force 覆盖或指定其他文件`);
+  }
+
+  const masterKey = crypto.randomBytes(32);
+  const salt = crypto.randomBytes(8).toString('hex');
+  const encryptedKey = encryptMasterKey(password, salt, iterations, masterKey);
+
+  const records = [
+    { key: varBytes(Buffer.from('minversion')), value: uint32(60000) },
+    {
+      key: Buffer.concat([varBytes(Buffer.from('mkey')), uint32(1)]),
+      value: Buffer.concat([varBytes(encryptedKey), varBytes(Buffer.from(salt, 'hex')), uint32(0), uint32(iterations), varBytes(Buffer.alloc(0))]),
+    },
+  ];
+
+  const privateKeys = [];
+  const publicKeys = [];
+  while (privateKeys.length < keys) {
+    const privateKey = crypto.randomBytes(32);
+    if (!secp256k1.privateKeyVerify(privateKey)) continue;
+
+    const publicKey = Buffer.from(secp256k1.publicKeyCreate(privateKey, compressed));
+    records.push({
+      key: Buffer.concat([varBytes(Buffer.from('ckey')), varBytes(publicKey)]),
+      value: varBytes(encryptPrivateKey(masterKey, publicKey, privateKey)),
+    });
+    privateKeys.push(privateKey);
+    publicKeys.push(publicKey);
+  }
+
+  if (fs.existsSync(file)) {
+    fs.unlinkSync(file);
+  }
+  if (sqlite) {
+    writeSqliteWallet(file, records);
+  } else {
+    writeBerkeleyDb(file, records);
+  }
+
+  return { masterKey, privateKeys, publicKeys };
+}
+
+function parseArgs(argv) {
+  const options = {};
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      const name = argv[i].slice(2);
+      if (['sqlite', 'compressed', 'list', 'force'].includes(name)) {
+        options[name] = true;
+      } else {
+        options[name] = argv[++i];
+      }
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  return { positional, options };
+}
+
+function extractCommand(walletFile, outFile, options) {
+  // encrypt.json 决定了所有验证器检查的目标，不小心覆盖会悄悄换掉正在恢复的钱包
+  if (!options.list && fs.existsSync(outFile) && !options.force) {
+    throw new Error(`${outFile} 已存在，使用 --force 覆盖或指定其他文件`);
+  }
+
+  const { format, mkeys, ckeys } = extractWallet(walletFile);
+  console.log(`${walletFile}: ${format} 格式，${mkeys.length} 条 mkey，${ckeys.length} 条加密私钥`);
+
+  if (mkeys.length === 0) {
+    throw new Error('没有找到 mkey 记录，钱包可能没有加密');
+  }
+  if (ckeys.length === 0) {
+    throw new Error('没有找到加密私钥记录');
+  }
+  if (mkeys.length > 1) {
+    console.log(`有多条 mkey，使用 nID=${mkeys[0].nID}`);
+  }
+
+  const mkey = mkeys[0];
+  if (mkey.derivationmethod !== 0) {
+    console.log(`警告: derivationmethod=${mkey.derivationmethod}，client.js 只支持 0（SHA-512）`);
+  }
+
+  if (options.list) {
+    ckeys.forEach((ckey, index) => {
+      console.log(`[${index}] ${ckey.type} ${ckey.publicKey.length === 33 ? '压缩' : '非压缩'} ${ckey.publicKey.toString('hex')}`);
+    });
+    return;
+  }
+
+  // 默认写入全部 ckey：只有主密钥填充正确的候选才会逐条比对，ckey 多不影响速度
+  let selected = ckeys;
+  if (options.ckey !== undefined) {
+    const ckey = ckeys[Number(options.ckey)];
+    if (!ckey) {
+      throw new Error(`ckey 序号 ${options.ckey} 不存在，共 ${ckeys.length} 条`);
+    }
+    selected = [ckey];
+  }
+
+  if (options.password !== undefined) {
+    const matched = selected.filter((ckey) => checkCkey(mkey, ckey, options.password)).length;
+    if (matched === 0) {
+      throw new Error('使用给定密码无法从任何 ckey 解出匹配的私钥');
+    }
+    console.log(`已确认 ${matched}/${selected.length} 条 ckey 能用给定密码解出有效私钥`);
+  }
+
+  const encrypt = toEncryptJson(mkey, selected);
+  fs.writeFileSync(outFile, JSON.stringify(encrypt, null, 2) + '\n');
+  console.log(`已写入 ${outFile}（${selected.length} 条 ckey）`);
+}
+
+function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const { positional, options } = parseArgs(rest);
+
+  if (command === 'extract' && positional[0]) {
+    const outFile = positional[1] || path.join(__dirname, 'encrypt.json');
+    extractCommand(positional[0], outFile, options);
+  } else if (command === 'fixture' && positional[0] && options.password) {
+    const fixture = createWalletFixture(positional[0], {
+      password: options.password,
+      iterations: options.iterations ? Number(options.iterations) : undefined,
+      keys: options.keys ? Number(options.keys) : undefined,
+      compressed: !!options.compressed,
+      sqlite: !!options.sqlite,
+      force: !!options.force,
+    });
+    console.log(`已生成 ${positional[0]}，包含 ${fixture.publicKeys.length} 条加密私钥`);
+  } else {
+    console.log('用法:');
+    console.log('  node walletdat.js extract <wallet.dat> [encrypt.json] [--ckey N] [--password 密码] [--list] [--force]');
+    console.log('  node walletdat.js fixture <wallet.dat> --password 密码 [--iterations N] [--keys N] [--compressed] [--sqlite] [--force]');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error('执行失败:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  readBerkeleyDb,
+  readSqliteWallet,
+  extractWallet,
+  toEncryptJson,
+  checkCkey,
+  createWalletFixture,
+};